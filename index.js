@@ -5,6 +5,10 @@ const { MongoClient, ObjectId } = require("mongodb");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const admin = require("firebase-admin");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
 
 // --- Safer Firebase Initialization ---
 try {
@@ -29,17 +33,53 @@ try {
   console.error(" Firebase Admin failed to initialize:", error.message);
 }
 
+// Verifies a Firebase ID token and resolves to its decoded claims.
+// FIREBASE_VERIFIER=stub swaps in an offline verifier for local testing that
+// accepts "stub.<base64url JSON claims>" tokens without any signature.
+const firebaseVerifiers = {
+  admin: (idToken) => admin.auth().verifyIdToken(idToken),
+  stub: async (idToken) => {
+    const [prefix, payload] = String(idToken).split(".");
+    if (prefix !== "stub" || !payload) throw new Error("Malformed stub token");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.uid || !claims.email) throw new Error("Stub token needs uid and email");
+    return { email_verified: true, ...claims };
+  },
+};
+
+const FIREBASE_VERIFIER = process.env.FIREBASE_VERIFIER || "admin";
+if (!firebaseVerifiers[FIREBASE_VERIFIER]) {
+  console.error(` Unknown FIREBASE_VERIFIER "${FIREBASE_VERIFIER}"`);
+  process.exit(1);
+}
+if (FIREBASE_VERIFIER === "stub" && process.env.NODE_ENV === "production") {
+  console.error(" FIREBASE_VERIFIER=stub is not allowed in production");
+  process.exit(1);
+}
+const verifyFirebaseIdToken = firebaseVerifiers[FIREBASE_VERIFIER];
+
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 if (!STRIPE_SECRET_KEY) {
   console.warn("STRIPE_SECRET_KEY missing. Payment features disabled.");
 }
 const stripe = STRIPE_SECRET_KEY ? require("stripe")(STRIPE_SECRET_KEY) : null;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+if (stripe && !STRIPE_WEBHOOK_SECRET) {
+  console.warn("STRIPE_WEBHOOK_SECRET missing. Payments will never be confirmed.");
+}
 
 const app = express();
+// How many proxies sit in front of us, so req.ip is the client address.
+// Defaults to 1 on Vercel and 0 elsewhere: trusting a proxy that isn't there
+// lets clients spoof X-Forwarded-For. Addresses or names like "loopback"
+// work too, as for Express's "trust proxy" setting.
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "0");
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY.split(",").map((v) => v.trim()));
 
 /* ================= MIDDLEWARE ================= */
 app.use(cors({ origin: ["http://localhost:5173", "http://localhost:5174", "https://contest-hub-b7db7.web.app", "https://contest-hub-b7db7.firebaseapp.com", "https://contest-hub-server-gamma-drab.vercel.app", "https://fantastic-cucurucho-3fa98b.netlify.app"], credentials: true }));
-app.use(express.json());
+// Keep the raw body around so the Stripe webhook can verify its signature
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 if (!process.env.JWT_SECRET) {
   console.error(" JWT_SECRET missing in .env");
@@ -50,6 +90,24 @@ if (!process.env.JWT_SECRET) {
 const client = new MongoClient(process.env.MONGO_URI);
 let usersCollection;
 let contestsCollection;
+let paymentsCollection;
+let registrationsCollection;
+let submissionsCollection;
+let scoresCollection;
+let filesCollection;
+let notificationsCollection;
+let sessionsCollection;
+let authTokensCollection;
+let roleChangesCollection;
+let creatorApplicationsCollection;
+let auditLogsCollection;
+let commentsCollection;
+let packagesCollection;
+let entitlementsCollection;
+let organizationsCollection;
+let orgInvitationsCollection;
+let rateLimitsCollection;
+let rankingsCollection;
 
 // Ensure DB connection before handling requests
 async function ensureDB(req, res, next) {
@@ -72,6 +130,75 @@ async function connectDB() {
     const db = client.db(process.env.DB_NAME || "contestHub");
     usersCollection = db.collection("users");
     contestsCollection = db.collection("contests");
+    paymentsCollection = db.collection("payments");
+    registrationsCollection = db.collection("registrations");
+    submissionsCollection = db.collection("submissions");
+    scoresCollection = db.collection("scores");
+    filesCollection = db.collection("files");
+    notificationsCollection = db.collection("notifications");
+    sessionsCollection = db.collection("sessions");
+    authTokensCollection = db.collection("auth_tokens");
+    roleChangesCollection = db.collection("role_changes");
+    creatorApplicationsCollection = db.collection("creator_applications");
+    auditLogsCollection = db.collection("audit_logs");
+    commentsCollection = db.collection("comments");
+    packagesCollection = db.collection("packages");
+    entitlementsCollection = db.collection("entitlements");
+    organizationsCollection = db.collection("organizations");
+    orgInvitationsCollection = db.collection("org_invitations");
+    rateLimitsCollection = db.collection("rate_limits");
+    rankingsCollection = db.collection("rankings");
+    await paymentsCollection.createIndex({ paymentIntentId: 1 }, { unique: true });
+    await registrationsCollection.createIndex({ userEmail: 1, registeredAt: -1 });
+    await registrationsCollection.createIndex({ contestId: 1, userEmail: 1 }, { unique: true });
+    await submissionsCollection.createIndex({ contestId: 1, userEmail: 1 }, { unique: true });
+    await submissionsCollection.createIndex({ userEmail: 1, status: 1 });
+    await filesCollection.createIndex({ contestId: 1, ownerEmail: 1 });
+    await notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ userEmail: 1, readAt: 1 });
+    await scoresCollection.createIndex({ contestId: 1, judgeEmail: 1, entryId: 1 }, { unique: true });
+    await usersCollection.createIndex({ firebaseUid: 1 }, { unique: true, sparse: true });
+    await contestsCollection.createIndex(
+      { title: "text", category: "text", description: "text" },
+      { name: "contest_text", weights: { title: 10, category: 5, description: 1 } }
+    );
+    await contestsCollection.createIndex({ status: 1, endDate: 1 });
+    await sessionsCollection.createIndex({ userEmail: 1 });
+    await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await authTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await authTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await roleChangesCollection.createIndex({ userId: 1, changedAt: -1 });
+    await auditLogsCollection.createIndex({ createdAt: -1 });
+    await commentsCollection.createIndex({ contestId: 1, parentId: 1, pinned: -1, createdAt: 1 });
+    await packagesCollection.createIndex({ id: 1 }, { unique: true });
+    await entitlementsCollection.createIndex({ userEmail: 1, status: 1, endsAt: 1 });
+    await entitlementsCollection.createIndex({ status: 1, endsAt: 1 });
+    await organizationsCollection.createIndex({ "members.email": 1 });
+    await orgInvitationsCollection.createIndex(
+      { orgId: 1, email: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } }
+    );
+    await orgInvitationsCollection.createIndex({ email: 1, status: 1 });
+    await contestsCollection.createIndex({ orgId: 1, createdAt: -1 }, { sparse: true });
+    await rateLimitsCollection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+    await createRankingIndexes(rankingsCollection);
+    await seedPackages();
+    await commentsCollection.createIndex({ reportCount: -1 }, { partialFilterExpression: { reportCount: { $gt: 0 } } });
+    await auditLogsCollection.createIndex({ "actor.email": 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ "target.type": 1, "target.id": 1, createdAt: -1 });
+    // At most one open application per user
+    await creatorApplicationsCollection.createIndex(
+      { userEmail: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } }
+    );
+    // Fill the rankings the first time we connect to a database that already
+    // has results. A failure here only leaves the board empty.
+    if (
+      !(await rankingsCollection.estimatedDocumentCount()) &&
+      (await submissionsCollection.findOne({ status: { $in: RESULT_STATUSES } }, { projection: { _id: 1 } }))
+    ) {
+      await rebuildRankings().catch((err) => console.error("Rankings rebuild failed:", err.message));
+    }
     console.log("MongoDB Connected");
   } catch (error) {
     console.error(" MongoDB Connection Error:", error.message);
@@ -84,25 +211,342 @@ if (process.env.NODE_ENV !== "production") {
   connectDB().catch(console.error);
 }
 
-/* ================= JWT ================= */
-const createToken = (user) =>
-  jwt.sign({ email: user.email.toLowerCase(), role: user.role }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+/* ================= JWT & SESSIONS ================= */
+
+// Access tokens are short-lived. Refresh tokens rotate on every use and are
+// stored hashed in the sessions collection, so sessions can be revoked.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const createToken = (user, sessionId) =>
+  jwt.sign(
+    { email: user.email.toLowerCase(), role: user.role, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const createRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+// Start a new session and return its access and refresh tokens
+async function issueSession(user, req) {
+  const sessionId = new ObjectId();
+  const refreshToken = createRefreshToken(sessionId);
+
+  await sessionsCollection.insertOne({
+    _id: sessionId,
+    userEmail: user.email.toLowerCase(),
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"] || null,
+    ip: req.ip,
+    createdAt: new Date(),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null,
+  });
+
+  return { token: createToken(user, sessionId), refreshToken };
+}
+
+// Revoke sessions for a user. Pass exceptSessionId to keep the caller's own.
+async function revokeSessions(userEmail, reason, exceptSessionId = null) {
+  const query = { userEmail, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: new ObjectId(exceptSessionId) };
+  await sessionsCollection.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
   });
+}
+
+// The user's current suspension or ban, or null. Suspensions lapse on
+// their own once `until` passes; bans and open-ended suspensions don't.
+function activeSuspension(user) {
+  const suspension = user?.suspension;
+  if (!suspension) return null;
+  if (suspension.type === "suspend" && suspension.until && new Date(suspension.until) <= new Date())
+    return null;
+  return suspension;
+}
+
+const suspensionResponse = (suspension) => ({
+  message:
+    suspension.type === "ban"
+      ? "Your account has been banned"
+      : `Your account is suspended${suspension.until ? ` until ${new Date(suspension.until).toISOString()}` : ""}`,
+  reason: suspension.reason,
+  until: suspension.until || null,
+});
 
-const verifyJWT = (req, res, next) => {
+// Every request re-reads the session and the user's role, so logouts and
+// role changes take effect immediately rather than when the token expires.
+// Returns { user } or, when the caller can't be identified, { status, body }.
+async function authenticate(req) {
   const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).send({ message: "Unauthorized" });
+  if (!authHeader) return { status: 401, body: { message: "Unauthorized" } };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
+  } catch (err) {
+    return { status: 401, body: { message: "Invalid token" } };
+  }
+  if (!decoded.sid || !ObjectId.isValid(decoded.sid))
+    return { status: 401, body: { message: "Session expired, please log in again" } };
+
+  const session = await sessionsCollection.findOne({
+    _id: new ObjectId(decoded.sid),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) return { status: 401, body: { message: "Session expired, please log in again" } };
+
+  const user = await usersCollection.findOne({ email: decoded.email });
+  if (!user) return { status: 401, body: { message: "Unauthorized" } };
+
+  const suspension = activeSuspension(user);
+  if (suspension) return { status: 403, body: suspensionResponse(suspension) };
+
+  return {
+    user: {
+      email: user.email,
+      role: user.role,
+      sid: decoded.sid,
+      // Accounts created before verification existed count as verified
+      emailVerified: user.emailVerified !== false,
+      orgRoles: await loadOrgRoles(user.email),
+    },
+  };
+}
+
+const verifyJWT = async (req, res, next) => {
+  try {
+    const { user, status, body } = await authenticate(req);
+    if (!user) return res.status(status).send(body);
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+};
 
-  const token = authHeader.split(" ")[1];
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).send({ message: "Invalid token" });
-    req.user = decoded;
+// For public routes: identify the caller when a valid token is sent. A
+// missing, expired or otherwise unusable one is treated as anonymous, so
+// clients that always send their header can still load public pages.
+const optionalJWT = async (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  try {
+    const { user } = await authenticate(req);
+    if (user) req.user = user;
     next();
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+};
+
+/* ================= MAILER ================= */
+
+// A transport is an object with send({ to, subject, text }). MAIL_TRANSPORT
+// picks one; plug in SMTP or an email API by adding it here.
+const mailTransports = {
+  console: () => ({
+    send: async ({ to, subject, text }) => {
+      console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+    },
+  }),
+  file: () => {
+    const file = process.env.MAIL_OUTBOX_FILE || "mail-outbox.log";
+    return {
+      send: async (mail) => {
+        await fs.promises.appendFile(file, JSON.stringify({ ...mail, sentAt: new Date() }) + "\n");
+      },
+    };
+  },
+};
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+if (!mailTransports[MAIL_TRANSPORT]) {
+  console.error(` Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+  process.exit(1);
+}
+const mailer = mailTransports[MAIL_TRANSPORT]();
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+
+// Mail failures should never fail the request that triggered them
+const sendMail = (mail) =>
+  mailer.send(mail).catch((err) => console.error("Mail delivery failed:", err.message));
+
+/* ================= EMAIL TOKENS ================= */
+
+const EMAIL_TOKEN_TTL_MS = {
+  "verify-email": 24 * 60 * 60 * 1000,
+  "reset-password": 60 * 60 * 1000,
+};
+
+// Create a single-use token, replacing any unused one of the same type
+async function createAuthToken(userEmail, type) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await authTokensCollection.deleteMany({ userEmail, type, usedAt: null });
+  await authTokensCollection.insertOne({
+    tokenHash: hashToken(token),
+    userEmail,
+    type,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL_MS[type]),
+    usedAt: null,
+  });
+  return token;
+}
+
+// Mark a token used and return it, or null if unknown, expired or used
+const consumeAuthToken = (token, type) =>
+  authTokensCollection.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.email, "verify-email");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your ContestHub email",
+    text: `Hi ${user.name || ""},\n\nConfirm your email address:\n${CLIENT_URL}/verify-email?token=${token}\n\nThis link expires in 24 hours.`,
   });
+}
+
+/* ================= NOTIFICATIONS ================= */
+
+// Events users can receive. Each can be switched off in the user's
+// notificationPreferences; everything is on by default.
+const NOTIFICATION_TYPES = {
+  contest_status: "Your contest was approved, rejected or cancelled",
+  contest_registration: "Someone registered for your contest",
+  contest_result: "You placed in a contest",
+  judge_invitation: "You were invited to judge a contest",
+  contest_clarification: "The creator posted a clarification on a contest you entered",
+  package_expired: "Your creator package expired",
+  org_invitation: "Organization invitations and replies",
 };
 
+// Open SSE connections by user email. These are per process: a
+// notification raised on another instance reaches a stream when it polls
+// on its heartbeat (see /notifications/stream), rather than instantly.
+const notificationStreams = new Map();
+
+// Notification ids each stream was recently sent, with when, so polling
+// doesn't repeat what was pushed live
+const streamDelivered = new WeakMap();
+
+function pushToStreams(userEmail, event, payload) {
+  const streams = notificationStreams.get(userEmail);
+  if (!streams) return;
+  const frame = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  streams.forEach((res) => {
+    if (payload.notification?._id) streamDelivered.get(res)?.set(String(payload.notification._id), Date.now());
+    res.write(frame);
+  });
+}
+
+// Record a notification and push it live. Never throws: a failed
+// notification must not fail the action that raised it.
+async function notify(userEmail, type, { title, message, link = null, data = {} }) {
+  try {
+    const user = await usersCollection.findOne(
+      { email: userEmail },
+      { projection: { notificationPreferences: 1 } }
+    );
+    if (!user || user.notificationPreferences?.[type] === false) return;
+
+    const notification = {
+      userEmail,
+      type,
+      title,
+      message,
+      link,
+      data,
+      readAt: null,
+      createdAt: new Date(),
+    };
+    await notificationsCollection.insertOne(notification);
+
+    const unreadCount = await notificationsCollection.countDocuments({ userEmail, readAt: null });
+    pushToStreams(userEmail, "notification", { notification, unreadCount });
+  } catch (err) {
+    console.error("Notification failed:", err.message);
+  }
+}
+
+/* ================= AUDIT LOG ================= */
+
+// Never copied into audit entries
+const AUDIT_REDACTED_FIELDS = ["password", "firebaseUid", "refreshTokenHash", "tokenHash"];
+
+// Top-level fields that differ between two snapshots, as { field: { from, to } }
+function auditDiff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (key === "_id" || AUDIT_REDACTED_FIELDS.includes(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  }
+  return changes;
+}
+
+// Append an entry to audit_logs. Entries are never updated or deleted. Like
+// notify() this never throws: the action has already happened by now.
+// `req` may be null for system actors such as the Stripe webhook.
+async function audit(req, action, { type, id }, { before = null, after = null, meta = {}, actor } = {}) {
+  try {
+    await auditLogsCollection.insertOne({
+      actor: actor || { email: req?.user?.email || null, role: req?.user?.role || null },
+      action,
+      target: { type, id: id ? String(id) : null },
+      changes: auditDiff(before, after),
+      meta,
+      ip: req?.ip || null,
+      userAgent: req?.headers["user-agent"] || null,
+      createdAt: new Date(),
+    });
+  } catch (err) {
+    console.error("Audit log failed:", err.message);
+  }
+}
+
 /* ================= ROLE CHECK ================= */
+const ROLES = ["user", "creator", "admin"];
+// Roles within an organization, see ORGANIZATIONS
+const ORG_ROLES = ["owner", "editor", "judge"];
+
+// Change a user's role, record who did it, and end their sessions since
+// existing tokens carry the old role. Returns the updated user.
+async function changeUserRole(user, role, { changedBy, reason = "", source }) {
+  const updated = await usersCollection.findOneAndUpdate(
+    { _id: user._id },
+    { $set: { role } },
+    { returnDocument: "after" }
+  );
+
+  await roleChangesCollection.insertOne({
+    userId: user._id,
+    userEmail: user.email,
+    from: user.role,
+    to: role,
+    changedBy,
+    reason,
+    source,
+    changedAt: new Date(),
+  });
+  await revokeSessions(user.email, "role changed");
+
+  return updated;
+}
+
 const verifyAdmin = (req, res, next) => {
   if (req.user.role !== "admin")
     return res.status(403).send({ message: "Admin only" });
@@ -115,12 +559,650 @@ const verifyCreator = (req, res, next) => {
   next();
 };
 
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified)
+    return res.status(403).send({ message: "Please verify your email first" });
+  next();
+};
+
+/* ================= RATE LIMITING ================= */
+
+// A store counts hits per key in fixed windows:
+//   hit(key, windowMs) → { count, resetAt }   (starts a window if none)
+//   get(key) → { count, resetAt } | null
+//   set(key, count, ttlMs) → Promise
+//   reset(key) → Promise
+// RATE_LIMIT_STORE picks one: "memory" for a single instance and tests,
+// "mongo" to share budgets between instances.
+const rateLimitStores = {
+  memory: () => {
+    const entries = new Map();
+    let nextSweep = 0;
+
+    const live = (key, now = Date.now()) => {
+      const entry = entries.get(key);
+      if (entry && entry.resetAt.getTime() > now) return entry;
+      entries.delete(key);
+      return null;
+    };
+
+    return {
+      hit: async (key, windowMs) => {
+        const now = Date.now();
+        if (now > nextSweep) {
+          for (const k of entries.keys()) live(k, now);
+          nextSweep = now + 60 * 1000;
+        }
+        const entry = live(key, now) || { count: 0, resetAt: new Date(now + windowMs) };
+        entry.count++;
+        entries.set(key, entry);
+        return { ...entry };
+      },
+      get: async (key) => {
+        const entry = live(key);
+        return entry ? { ...entry } : null;
+      },
+      set: async (key, count, ttlMs) => {
+        entries.set(key, { count, resetAt: new Date(Date.now() + ttlMs) });
+      },
+      reset: async (key) => {
+        entries.delete(key);
+      },
+    };
+  },
+  // Documents expire through the TTL index on resetAt; the checks on
+  // resetAt cover the gap before MongoDB removes them.
+  mongo: () => ({
+    hit: async (key, windowMs) => {
+      const now = new Date();
+      const active = { $gt: ["$resetAt", now] };
+      return rateLimitsCollection.findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+              resetAt: { $cond: [active, "$resetAt", new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "after" }
+      );
+    },
+    get: (key) => rateLimitsCollection.findOne({ _id: key, resetAt: { $gt: new Date() } }),
+    set: async (key, count, ttlMs) => {
+      await rateLimitsCollection.updateOne(
+        { _id: key },
+        { $set: { count, resetAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+    reset: async (key) => {
+      await rateLimitsCollection.deleteOne({ _id: key });
+    },
+  }),
+};
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+if (!rateLimitStores[RATE_LIMIT_STORE]) {
+  console.error(` Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"`);
+  process.exit(1);
+}
+const rateLimitStore = rateLimitStores[RATE_LIMIT_STORE]();
+
+const MINUTE_MS = 60 * 1000;
+
+// Budgets per route: at most perIp requests from one address and perAccount
+// from one account in each window. Login counts against the email being
+// tried, other routes against the signed-in user.
+const RATE_LIMITS = {
+  login: { windowMs: 15 * MINUTE_MS, perIp: 30, perAccount: 10, account: (req) => req.body?.email },
+  googleLogin: { windowMs: 15 * MINUTE_MS, perIp: 30 },
+  register: { windowMs: 60 * MINUTE_MS, perIp: 10 },
+  refresh: { windowMs: 15 * MINUTE_MS, perIp: 60 },
+  forgotPassword: { windowMs: 60 * MINUTE_MS, perIp: 10, perAccount: 3, account: (req) => req.body?.email },
+  resetPassword: { windowMs: 60 * MINUTE_MS, perIp: 10 },
+  resendVerification: { windowMs: 60 * MINUTE_MS, perAccount: 3 },
+  contestRegister: { windowMs: MINUTE_MS, perIp: 30, perAccount: 10 },
+  submitTask: { windowMs: MINUTE_MS, perIp: 30, perAccount: 10 },
+  upload: { windowMs: MINUTE_MS, perIp: 30, perAccount: 10 },
+  paymentIntent: { windowMs: 10 * MINUTE_MS, perIp: 30, perAccount: 10 },
+  comment: { windowMs: MINUTE_MS, perIp: 20, perAccount: 5 },
+};
+
+function sendTooManyRequests(res, resetAt, message = "Too many requests, please try again later") {
+  const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).send({ message, retryAfter });
+}
+
+// Middleware enforcing RATE_LIMITS[name]. Place it after verifyJWT when the
+// budget is per signed-in account. If the store fails, requests go through
+// rather than taking the API down with it.
+const rateLimit = (name) => {
+  const { windowMs, perIp, perAccount, account = (req) => req.user?.email } = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    try {
+      const budgets = [];
+      if (perIp) budgets.push([`${name}:ip:${req.ip}`, perIp]);
+      const accountKey = perAccount && account(req);
+      if (accountKey) budgets.push([`${name}:account:${String(accountKey).toLowerCase()}`, perAccount]);
+
+      for (const [key, max] of budgets) {
+        const { count, resetAt } = await rateLimitStore.hit(key, windowMs);
+        if (count > max) return sendTooManyRequests(res, resetAt);
+      }
+    } catch (err) {
+      console.error("Rate limiter failed:", err.message);
+    }
+    next();
+  };
+};
+
+// Progressive lockout: every `threshold` failed logins for an email lock it
+// for a while, doubling each time up to maxMs. Failures are remembered for
+// a day, and a successful login clears them.
+const LOGIN_LOCKOUT = {
+  threshold: 5,
+  failureWindowMs: 24 * 60 * MINUTE_MS,
+  baseMs: MINUTE_MS,
+  maxMs: 60 * MINUTE_MS,
+};
+
+// When the email is locked out, the time the lock lifts
+// Like rateLimit, these fail open: a store outage must not stop logins.
+async function loginLockedUntil(email) {
+  try {
+    const lock = await rateLimitStore.get(`login-lock:${email}`);
+    return lock ? lock.resetAt : null;
+  } catch (err) {
+    console.error("Login lockout check failed:", err.message);
+    return null;
+  }
+}
+
+async function recordLoginFailure(email) {
+  try {
+    const { count } = await rateLimitStore.hit(`login-fail:${email}`, LOGIN_LOCKOUT.failureWindowMs);
+    if (count % LOGIN_LOCKOUT.threshold !== 0) return;
+
+    const level = count / LOGIN_LOCKOUT.threshold;
+    const duration = Math.min(LOGIN_LOCKOUT.baseMs * 2 ** (level - 1), LOGIN_LOCKOUT.maxMs);
+    await rateLimitStore.set(`login-lock:${email}`, level, duration);
+  } catch (err) {
+    console.error("Recording login failure failed:", err.message);
+  }
+}
+
+async function clearLoginFailures(email) {
+  try {
+    await rateLimitStore.reset(`login-fail:${email}`);
+    await rateLimitStore.reset(`login-lock:${email}`);
+  } catch (err) {
+    console.error("Clearing login failures failed:", err.message);
+  }
+}
+
+/* ================= VALIDATION ================= */
+
+// Schemas map field names to rules:
+//   { type, required, min, max, minLength, maxLength, enum, pattern,
+//     items (array element rule), schema (nested object), values (map rule),
+//     maxItems }
+// Types: string, email, url, number, integer, boolean, date, objectId,
+// array, object. Query strings are coerced to numbers/booleans, and keys not
+// in the schema are dropped, so only declared fields reach MongoDB.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function validateValue(rule, value, field, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "url": {
+      if (typeof value !== "string") return fail("must be a string");
+      let v = value.trim();
+      if (rule.type === "email") {
+        v = v.toLowerCase();
+        if (!EMAIL_PATTERN.test(v)) return fail("must be a valid email");
+      }
+      if (rule.type === "url" && v && !/^https?:\/\/\S+$/i.test(v) && !v.startsWith("/"))
+        return fail("must be an http(s) URL");
+      if (rule.minLength !== undefined && v.length < rule.minLength)
+        return fail(`must be at least ${rule.minLength} characters`);
+      if (rule.maxLength !== undefined && v.length > rule.maxLength)
+        return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(v)) return fail("has an invalid format");
+      if (rule.enum && !rule.enum.includes(v))
+        return fail(`must be one of: ${rule.enum.join(", ")}`);
+      return v;
+    }
+
+    case "number":
+    case "integer": {
+      const v = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof v !== "number" || !Number.isFinite(v)) return fail("must be a number");
+      if (rule.type === "integer" && !Number.isInteger(v)) return fail("must be a whole number");
+      if (rule.min !== undefined && v < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && v > rule.max) return fail(`must be at most ${rule.max}`);
+      return v;
+    }
+
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return fail("must be true or false");
+
+    case "date": {
+      const v = new Date(value);
+      if (value === null || value === "" || Number.isNaN(v.getTime())) return fail("must be a valid date");
+      return v;
+    }
+
+    case "objectId":
+      if (typeof value !== "string" || !ObjectId.isValid(value)) return fail("must be a valid ID");
+      return value;
+
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.maxItems !== undefined && value.length > rule.maxItems)
+        return fail(`must have at most ${rule.maxItems} items`);
+      if (!rule.items) return value;
+      return value.map((item, i) => validateValue(rule.items, item, `${field}[${i}]`, errors));
+    }
+
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      if (rule.schema) return validateFields(rule.schema, value, errors, { prefix: `${field}.` });
+      if (rule.values) {
+        const out = {};
+        for (const [key, item] of Object.entries(value)) {
+          out[key] = validateValue(rule.values, item, `${field}.${key}`, errors);
+        }
+        return out;
+      }
+      return value;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+// Validate an object against a schema, returning only the declared fields.
+// With partial, required fields may be left out (for updates).
+function validateFields(schema, input, errors, { partial = false, prefix = "" } = {}) {
+  const output = {};
+  const source = input && typeof input === "object" ? input : {};
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = source[key];
+    const field = `${prefix}${key}`;
+
+    // Empty strings count as missing for required or non-text fields only,
+    // so optional text like a bio can still be cleared
+    const textual = ["string", "email", "url"].includes(rule.type);
+    if (value === undefined || value === null || (value === "" && (rule.required || !textual))) {
+      if (rule.required && !partial) errors.push({ field, message: "is required" });
+      continue;
+    }
+
+    const result = validateValue(rule, value, field, errors);
+    if (result !== undefined) output[key] = result;
+  }
+
+  return output;
+}
+
+// Middleware: validate req.body / req.query against schemas and replace them
+// with the cleaned values. Rejects with field-level errors.
+const validate = ({ body, query }, { partial = false } = {}) => (req, res, next) => {
+  const errors = [];
+  const cleanBody = body ? validateFields(body, req.body, errors, { partial }) : undefined;
+  const cleanQuery = query ? validateFields(query, req.query, errors) : undefined;
+
+  if (errors.length) {
+    return res.status(400).send({
+      message: `${errors[0].field} ${errors[0].message}`,
+      errors,
+    });
+  }
+
+  if (cleanBody) req.body = cleanBody;
+  // Express 5 exposes req.query as a getter, so shadow it instead
+  if (cleanQuery) Object.defineProperty(req, "query", { value: cleanQuery, writable: true });
+  next();
+};
+
+/* ================= SCHEMAS ================= */
+
+const CONTEST_CATEGORIES = [
+  "Image Design",
+  "Article Writing",
+  "Business Idea",
+  "Marketing Strategy",
+  "Digital Advertisement",
+  "Gaming Review",
+  "Book Review",
+  "Movie Review",
+  "Photography",
+  "Logo Design",
+];
+
+const CONTEST_STATUSES = [
+  "draft", "pending", "confirmed", "rejected", "open", "judging", "completed", "cancelled",
+];
+
+const MAX_CONTEST_PRICE = 10000;
+const MAX_PRIZE_MONEY = 1000000;
+const MAX_SUBMISSION_ATTACHMENTS = 5;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Fields a creator controls on a contest. Ownership, status, participants
+// and submissions are managed by the server and can never be set directly.
+const contestFields = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  image: { type: "url", maxLength: 1000 },
+  price: { type: "number", min: 0, max: MAX_CONTEST_PRICE },
+  prizeMoney: { type: "number", min: 0, max: MAX_PRIZE_MONEY },
+  taskInstruction: { type: "string", required: true, maxLength: 5000 },
+  category: { type: "string", required: true, enum: CONTEST_CATEGORIES },
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+  isActive: { type: "boolean" },
+  prizeDistribution: {
+    type: "array",
+    maxItems: 10,
+    items: {
+      type: "object",
+      schema: {
+        place: { type: "integer", required: true, min: 1, max: 10 },
+        share: { type: "number", required: true, min: 0, max: 100 },
+      },
+    },
+  },
+  honourableMentionShare: { type: "number", min: 0, max: 100 },
+  allowResubmission: { type: "boolean" },
+};
+
+// Package fields admins can set; the id is fixed once created
+const packageFields = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 60 },
+  price: { type: "number", required: true, min: 0, max: 10000 },
+  limit: { type: "integer", required: true, min: 1, max: 10000 },
+  periodDays: { type: "integer", min: 1, max: 366 },
+  description: { type: "string", maxLength: 500 },
+  active: { type: "boolean" },
+};
+
+const schemas = {
+  register: {
+    name: { type: "string", minLength: 1, maxLength: 80 },
+    email: { type: "email", required: true },
+    password: { type: "string", required: true, minLength: 6, maxLength: 128 },
+  },
+  login: {
+    email: { type: "email", required: true },
+    password: { type: "string", required: true, maxLength: 128 },
+  },
+  googleLogin: {
+    idToken: { type: "string", required: true },
+    password: { type: "string", maxLength: 128 },
+  },
+  refreshToken: {
+    refreshToken: { type: "string", required: true, maxLength: 200 },
+  },
+  emailToken: {
+    token: { type: "string", required: true, maxLength: 200 },
+  },
+  forgotPassword: {
+    email: { type: "email", required: true },
+  },
+  resetPassword: {
+    token: { type: "string", required: true, maxLength: 200 },
+    password: { type: "string", required: true, minLength: 6, maxLength: 128 },
+  },
+  profile: {
+    name: { type: "string", minLength: 1, maxLength: 80 },
+    photoURL: { type: "url", maxLength: 1000 },
+    bio: { type: "string", maxLength: 500 },
+  },
+  role: {
+    role: { type: "string", required: true, enum: ROLES },
+    reason: { type: "string", maxLength: 500 },
+  },
+  userQuery: {
+    search: { type: "string", maxLength: 100 },
+    role: { type: "string", enum: ROLES },
+    package: { type: "string", maxLength: 40 },
+    status: { type: "string", enum: ["active", "suspended", "banned"] },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  suspension: {
+    type: { type: "string", required: true, enum: ["suspend", "ban"] },
+    reason: { type: "string", required: true, minLength: 1, maxLength: 1000 },
+    until: { type: "date" },
+  },
+  reinstatement: {
+    reason: { type: "string", maxLength: 1000 },
+  },
+  creatorApplication: {
+    portfolio: { type: "string", maxLength: 1000 },
+    reason: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+  },
+  creatorApplicationQuery: {
+    status: { type: "string", enum: ["pending", "approved", "rejected", "all"] },
+  },
+  organization: {
+    name: { type: "string", required: true, minLength: 2, maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+  },
+  orgInvitation: {
+    email: { type: "email", required: true },
+    role: { type: "string", required: true, enum: ORG_ROLES },
+  },
+  orgMember: {
+    role: { type: "string", required: true, enum: ORG_ROLES },
+  },
+  invitationDecision: {
+    decision: { type: "string", required: true, enum: ["accepted", "declined"] },
+  },
+  applicationDecision: {
+    decision: { type: "string", required: true, enum: ["approved", "rejected"] },
+    notes: { type: "string", maxLength: 2000 },
+  },
+  contest: {
+    ...contestFields,
+    status: { type: "string", enum: ["draft", "pending"] },
+    // Set to create the contest for an organization instead of yourself
+    orgId: { type: "objectId" },
+  },
+  // Status only changes through the lifecycle routes
+  contestUpdate: contestFields,
+  contestQuery: {
+    creatorEmail: { type: "email" },
+    orgId: { type: "objectId" },
+    category: { type: "string", maxLength: 60 },
+    search: { type: "string", maxLength: 100 },
+    status: { type: "string", enum: CONTEST_STATUSES },
+    openNow: { type: "boolean" },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    sort: { type: "string", enum: ["deadline", "prize", "participants", "newest", "relevance"] },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 50 },
+  },
+  contestStatus: {
+    status: { type: "string", required: true, enum: ["draft", "pending", "confirmed", "rejected", "cancelled"] },
+  },
+  contestRegistration: {
+    paymentIntentId: { type: "string", maxLength: 100 },
+  },
+  submission: {
+    submission: { type: "string", maxLength: 5000 },
+    attachments: { type: "array", maxItems: MAX_SUBMISSION_ATTACHMENTS, items: { type: "objectId" } },
+  },
+  submissionsQuery: {
+    history: { type: "boolean" },
+    includeWithdrawn: { type: "boolean" },
+  },
+  submissionScore: {
+    userEmail: { type: "email", required: true },
+    score: { type: "number", required: true, min: 0, max: 100 },
+    feedback: { type: "string", maxLength: 2000 },
+  },
+  declareWinner: {
+    userEmail: { type: "email" },
+    rankBy: { type: "string", enum: ["score", "panel"] },
+    placements: {
+      type: "array",
+      maxItems: 10,
+      items: {
+        type: "object",
+        schema: {
+          userEmail: { type: "email", required: true },
+          place: { type: "integer", required: true, min: 1, max: 10 },
+        },
+      },
+    },
+    honourableMentions: { type: "array", maxItems: 20, items: { type: "email" } },
+  },
+  judging: {
+    judges: { type: "array", maxItems: 20, items: { type: "email" } },
+    rubric: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        schema: {
+          key: { type: "string", required: true, maxLength: 40 },
+          label: { type: "string", maxLength: 80 },
+          weight: { type: "number", required: true, min: 0 },
+          maxScore: { type: "number", min: 1, max: 1000 },
+        },
+      },
+    },
+    blindJudging: { type: "boolean" },
+  },
+  judgeScore: {
+    entryId: { type: "string", required: true, maxLength: 40 },
+    scores: { type: "object", required: true, values: { type: "number", min: 0 } },
+    comment: { type: "string", maxLength: 2000 },
+  },
+  notificationQuery: {
+    unread: { type: "boolean" },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  notificationPreferences: Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map((type) => [type, { type: "boolean" }])
+  ),
+  analyticsQuery: {
+    from: { type: "date" },
+    to: { type: "date" },
+    interval: { type: "string", enum: ["day", "week", "month"] },
+    // Creator analytics only: report on an organization's contests
+    orgId: { type: "objectId" },
+  },
+  package: {
+    id: { type: "string", required: true, pattern: /^[a-z0-9-]+$/, maxLength: 40 },
+    ...packageFields,
+  },
+  packageUpdate: packageFields,
+  packageAccountQuery: {
+    orgId: { type: "objectId" },
+  },
+  buyPackage: {
+    packageId: { type: "string", required: true, maxLength: 40 },
+    orgId: { type: "objectId" },
+    paymentIntentId: { type: "string", maxLength: 100 },
+  },
+  paymentIntent: {
+    purpose: { type: "string", enum: ["package", "contest"] },
+    packageId: { type: "string", maxLength: 40 },
+    contestId: { type: "objectId" },
+    // Buy the package for an organization you own
+    orgId: { type: "objectId" },
+  },
+  paymentQuery: {
+    status: {
+      type: "string",
+      enum: ["pending", "succeeded", "failed", "canceled", "refunded", "partially_refunded"],
+    },
+    purpose: { type: "string", enum: ["package", "contest"] },
+    userEmail: { type: "email" },
+  },
+  comment: {
+    body: { type: "string", required: true, minLength: 1, maxLength: MAX_COMMENT_LENGTH },
+    parentId: { type: "objectId" },
+    official: { type: "boolean" },
+  },
+  commentFlags: {
+    pinned: { type: "boolean" },
+    official: { type: "boolean" },
+  },
+  commentReport: {
+    reason: { type: "string", maxLength: 500 },
+  },
+  commentModeration: {
+    hidden: { type: "boolean", required: true },
+    reason: { type: "string", maxLength: 500 },
+  },
+  leaderboardQuery: {
+    period: { type: "string", enum: ["week", "month", "all"] },
+    category: { type: "string", enum: CONTEST_CATEGORIES },
+    date: { type: "date" },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  registrationQuery: {
+    paid: { type: "boolean" },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  historyQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  commentQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  auditQuery: {
+    actor: { type: "email" },
+    action: { type: "string", maxLength: 60 },
+    targetType: { type: "string", maxLength: 40 },
+    targetId: { type: "string", maxLength: 100 },
+    from: { type: "date" },
+    to: { type: "date" },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 200 },
+  },
+};
+
+// A contest must end in the future, and after it starts
+function checkContestDates(startDate, endDate) {
+  if (endDate && new Date(endDate) <= new Date())
+    return [{ field: "endDate", message: "must be in the future" }];
+  if (startDate && endDate && new Date(startDate) >= new Date(endDate))
+    return [{ field: "startDate", message: "must be before endDate" }];
+  return [];
+}
+
 /* ================= AUTH ROUTES ================= */
 
 // REGISTER
-app.post("/auth/register", ensureDB, async (req, res) => {
+app.post("/auth/register", ensureDB, rateLimit("register"), validate({ body: schemas.register }), async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    // Self-registration always creates a plain user; creators apply below
+    const { name, email, password } = req.body;
     if (!email || !password)
       return res.status(400).send({ message: "Email & password required" });
 
@@ -135,37 +1217,54 @@ app.post("/auth/register", ensureDB, async (req, res) => {
       name,
       email: email.toLowerCase(),
       password: hashedPassword,
-      role: role || "user",
-      contestLimit: 2, // Default limit for free starters
+      role: "user",
+      currentPackage: FREE_PACKAGE_ID,
+      contestLimit: defaultPackages.find((p) => p.id === FREE_PACKAGE_ID).limit,
+      emailVerified: false,
       createdAt: new Date(),
     };
 
     await usersCollection.insertOne(user);
-    const token = createToken(user);
+    await sendVerificationEmail(user);
+    const { token, refreshToken } = await issueSession(user, req);
 
-    res.send({ token, role: user.role, email: user.email, name: user.name });
+    res.send({ token, refreshToken, role: user.role, email: user.email, name: user.name });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
 // LOGIN
-app.post("/auth/login", ensureDB, async (req, res) => {
+app.post("/auth/login", ensureDB, validate({ body: schemas.login }), rateLimit("login"), async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).send({ message: "Email and password required" });
 
+    const lockedUntil = await loginLockedUntil(email.toLowerCase());
+    if (lockedUntil)
+      return sendTooManyRequests(res, lockedUntil, "Too many failed login attempts, please try again later");
+
     const user = await usersCollection.findOne({
       email: email.toLowerCase(),
     });
 
-    if (!user) return res.status(404).send({ message: "User not found" });
-    if (!user.password || !bcrypt.compareSync(password, user.password))
+    if (!user) {
+      await recordLoginFailure(email.toLowerCase());
+      return res.status(404).send({ message: "User not found" });
+    }
+    if (!user.password || !bcrypt.compareSync(password, user.password)) {
+      await recordLoginFailure(user.email);
       return res.status(400).send({ message: "Invalid credentials" });
+    }
+    await clearLoginFailures(user.email);
+
+    const suspension = activeSuspension(user);
+    if (suspension) return res.status(403).send(suspensionResponse(suspension));
 
-    const token = createToken(user);
+    const { token, refreshToken } = await issueSession(user, req);
     res.send({
       token,
+      refreshToken,
       role: user.role,
       email: user.email,
       name: user.name,
@@ -176,32 +1275,83 @@ app.post("/auth/login", ensureDB, async (req, res) => {
 });
 
 // GOOGLE LOGIN
-app.post("/auth/google-login", ensureDB, async (req, res) => {
+// Identity comes only from the verified Firebase ID token, never the body.
+app.post("/auth/google-login", ensureDB, rateLimit("googleLogin"), validate({ body: schemas.googleLogin }), async (req, res) => {
   try {
-    const { email, name, photoURL } = req.body;
-    if (!email || !name)
-      return res.status(400).send({ message: "Email and name required" });
+    const { idToken, password } = req.body;
+    if (!idToken)
+      return res.status(400).send({ message: "Firebase ID token required" });
+
+    let claims;
+    try {
+      claims = await verifyFirebaseIdToken(idToken);
+    } catch (err) {
+      return res.status(401).send({ message: "Invalid Google sign-in token" });
+    }
+
+    if (!claims.email)
+      return res.status(400).send({ message: "Google account has no email" });
+
+    const email = claims.email.toLowerCase();
+    const name = claims.name || email.split("@")[0];
+    const photoURL = claims.picture || null;
+
+    let user =
+      (await usersCollection.findOne({ firebaseUid: claims.uid })) ||
+      (await usersCollection.findOne({ email }));
 
-    let user = await usersCollection.findOne({ email: email.toLowerCase() });
     if (!user) {
       user = {
         name,
-        email: email.toLowerCase(),
+        email,
         role: "user",
         photoURL,
         password: null,
+        firebaseUid: claims.uid,
+        authProviders: ["google"],
+        emailVerified: Boolean(claims.email_verified),
         createdAt: new Date(),
       };
       await usersCollection.insertOne(user);
-    } else if (photoURL && !user.photoURL) {
+    } else {
+      if (user.firebaseUid && user.firebaseUid !== claims.uid)
+        return res.status(409).send({ message: "This email is linked to a different Google account" });
+
+      const updateFields = {};
+
+      if (!user.firebaseUid) {
+        // Linking Google to a password account needs proof the caller owns
+        // it: either Google verified the email, or they give the password.
+        const ownsPassword = user.password && password && bcrypt.compareSync(password, user.password);
+        if (user.password && !claims.email_verified && !ownsPassword) {
+          return res.status(409).send({
+            message: "An account with this email already exists. Enter its password to link Google sign-in.",
+            linkRequired: true,
+          });
+        }
+        updateFields.firebaseUid = claims.uid;
+      }
+
       // Update photo if missing
-      await usersCollection.updateOne({ _id: user._id }, { $set: { photoURL } });
-      user.photoURL = photoURL;
+      if (photoURL && !user.photoURL) updateFields.photoURL = photoURL;
+      if (claims.email_verified && user.emailVerified === false) updateFields.emailVerified = true;
+
+      if (Object.keys(updateFields).length) {
+        await usersCollection.updateOne(
+          { _id: user._id },
+          { $set: updateFields, $addToSet: { authProviders: "google" } }
+        );
+        Object.assign(user, updateFields);
+      }
     }
 
-    const token = createToken(user);
+    const suspension = activeSuspension(user);
+    if (suspension) return res.status(403).send(suspensionResponse(suspension));
+
+    const { token, refreshToken } = await issueSession(user, req);
     res.send({
       token,
+      refreshToken,
       role: user.role,
       email: user.email,
       name: user.name,
@@ -214,478 +1364,4758 @@ app.post("/auth/google-login", ensureDB, async (req, res) => {
   }
 });
 
-// GET current user
-app.get("/auth/me", ensureDB, verifyJWT, async (req, res) => {
+// REFRESH access token (rotates the refresh token)
+app.post("/auth/refresh", ensureDB, rateLimit("refresh"), validate({ body: schemas.refreshToken }), async (req, res) => {
   try {
-    const user = await usersCollection.findOne({ email: req.user.email });
-    if (!user) return res.status(404).send({ message: "User not found" });
+    const { refreshToken } = req.body;
+    const [sessionId] = String(refreshToken || "").split(".");
+    if (!refreshToken || !ObjectId.isValid(sessionId))
+      return res.status(401).send({ message: "Invalid refresh token" });
+
+    const session = await sessionsCollection.findOne({ _id: new ObjectId(sessionId) });
+    if (!session || session.revokedAt || session.expiresAt <= new Date())
+      return res.status(401).send({ message: "Session expired, please log in again" });
+
+    const nextToken = createRefreshToken(session._id);
+    const rotated = await sessionsCollection.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    // An old refresh token was replayed: assume it leaked and end the session
+    if (!rotated) {
+      await sessionsCollection.updateOne(
+        { _id: session._id },
+        { $set: { revokedAt: new Date(), revokedReason: "refresh token reuse" } }
+      );
+      return res.status(401).send({ message: "Session expired, please log in again" });
+    }
+
+    const user = await usersCollection.findOne({ email: session.userEmail });
+    if (!user) return res.status(401).send({ message: "Unauthorized" });
+
+    const suspension = activeSuspension(user);
+    if (suspension) return res.status(403).send(suspensionResponse(suspension));
 
     res.send({
+      token: createToken(user, session._id),
+      refreshToken: nextToken,
+      role: user.role,
       email: user.email,
       name: user.name,
-      role: user.role,
-      photoURL: user.photoURL || null,
-      bio: user.bio || "",
     });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// GET all users (Admin only)
-app.get("/users", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+// LOGOUT current session
+app.post("/auth/logout", ensureDB, verifyJWT, async (req, res) => {
   try {
-    const users = await usersCollection.find({}).toArray();
-    res.send(users);
+    await sessionsCollection.updateOne(
+      { _id: new ObjectId(req.user.sid) },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+    res.send({ message: "Logged out" });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// UPDATE user role (Admin only)
-app.put("/users/:id/role", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+// LOGOUT all devices
+app.post("/auth/logout-all", ensureDB, verifyJWT, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { role } = req.body;
+    await revokeSessions(req.user.email, "logout all");
+    res.send({ message: "Logged out of all devices" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
 
-    if (!ObjectId.isValid(id))
-      return res.status(400).send({ message: "Invalid user ID" });
+// GET current user's active sessions
+app.get("/auth/sessions", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const sessions = await sessionsCollection
+      .find(
+        { userEmail: req.user.email, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { projection: { refreshTokenHash: 0 } }
+      )
+      .sort({ lastUsedAt: -1 })
+      .toArray();
 
-    await usersCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { role } }
-    );
-    res.send({ message: "Role updated successfully" });
+    res.send(sessions.map((s) => ({ ...s, current: s._id.toString() === req.user.sid })));
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// UPDATE current user
-app.put("/auth/me", ensureDB, verifyJWT, async (req, res) => {
+// VERIFY email
+app.post("/auth/verify-email", ensureDB, validate({ body: schemas.emailToken }), async (req, res) => {
   try {
-    if (!req.user?.email)
-      return res.status(401).send({ message: "Unauthorized" });
+    const { token } = req.body;
+    if (!token) return res.status(400).send({ message: "Token required" });
 
-    const { name, photoURL, bio } = req.body;
-    const userEmail = req.user.email.toLowerCase();
-
-    const updateFields = {};
-    if (name !== undefined) updateFields.name = name;
-    if (photoURL !== undefined) updateFields.photoURL = photoURL;
-    if (bio !== undefined) updateFields.bio = bio;
+    const record = await consumeAuthToken(token, "verify-email");
+    if (!record) return res.status(400).send({ message: "Invalid or expired link" });
 
-    const result = await usersCollection.findOneAndUpdate(
-      { email: userEmail },
-      { $set: updateFields },
-      { returnDocument: "after" }
+    await usersCollection.updateOne(
+      { email: record.userEmail },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
     );
-
-    if (!result) return res.status(404).send({ message: "User not found" });
-
-    res.send({
-      email: result.email,
-      name: result.name,
-      role: result.role,
-      photoURL: result.photoURL || null,
-      bio: result.bio || "",
-    });
+    res.send({ message: "Email verified" });
   } catch (err) {
-    console.error("Profile update failed:", err);
     res.status(500).send({ message: err.message });
   }
 });
 
-
-/* ================= CONTEST ROUTES ================= */
-
-// GET all contests OR creator-wise OR search
-app.get("/contests", ensureDB, async (req, res) => {
+// RESEND verification email
+app.post("/auth/resend-verification", ensureDB, verifyJWT, rateLimit("resendVerification"), async (req, res) => {
   try {
-    const { creatorEmail, category, search } = req.query;
-    let query = {};
-
-    if (creatorEmail) {
-      query.creatorEmail = creatorEmail;
-    }
-
-    if (category && category !== "All") {
-      query.category = category;
-    }
+    if (req.user.emailVerified)
+      return res.status(400).send({ message: "Email already verified" });
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { category: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    const contests = await contestsCollection.find(query).toArray();
-    res.send(contests);
+    const user = await usersCollection.findOne({ email: req.user.email });
+    await sendVerificationEmail(user);
+    res.send({ message: "Verification email sent" });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// GET contest by ID
-app.get("/contests/:id", ensureDB, verifyJWT, async (req, res) => {
+// FORGOT password
+// Always answers the same way so it can't be used to probe for accounts.
+app.post("/auth/forgot-password", ensureDB, validate({ body: schemas.forgotPassword }), rateLimit("forgotPassword"), async (req, res) => {
   try {
-    const { id } = req.params;
-    if (!ObjectId.isValid(id))
-      return res.status(400).send({ message: "Invalid contest ID" });
+    const { email } = req.body;
+    if (!email) return res.status(400).send({ message: "Email required" });
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    const user = await usersCollection.findOne({ email: email.toLowerCase() });
+    if (user) {
+      const token = await createAuthToken(user.email, "reset-password");
+      await sendMail({
+        to: user.email,
+        subject: "Reset your ContestHub password",
+        text: `Hi ${user.name || ""},\n\nReset your password here:\n${CLIENT_URL}/reset-password?token=${token}\n\nThis link expires in 1 hour. If you didn't ask for this, ignore this email.`,
+      });
+    }
 
-    res.send(contest);
+    res.send({ message: "If that account exists, a reset link has been sent" });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-app.post("/contests", ensureDB, verifyJWT, verifyCreator, async (req, res) => {
+// RESET password
+app.post("/auth/reset-password", ensureDB, rateLimit("resetPassword"), validate({ body: schemas.resetPassword }), async (req, res) => {
   try {
-    // Check limit
-    const user = await usersCollection.findOne({ email: req.user.email });
-    const count = await contestsCollection.countDocuments({ creatorEmail: req.user.email });
-    const limit = user.contestLimit || 2;
+    const { token, password } = req.body;
+    if (!token || !password)
+      return res.status(400).send({ message: "Token and password required" });
+    if (String(password).length < 6)
+      return res.status(400).send({ message: "Password must be at least 6 characters" });
 
-    if (count >= limit) {
-      return res.status(403).send({ message: `Contest limit reached (${limit}). Please upgrade your package.` });
-    }
+    const record = await consumeAuthToken(token, "reset-password");
+    if (!record) return res.status(400).send({ message: "Invalid or expired link" });
 
-    const contest = {
-      ...req.body,
-      creatorEmail: req.user.email,
-      status: "pending",
-      participants: [],
-      submissions: [],
-      createdAt: new Date(),
-      endDate: req.body.endDate || new Date(new Date().getTime() + 3 * 24 * 60 * 60 * 1000),
-    };
+    // Following the emailed link proves the address too
+    await usersCollection.updateOne(
+      { email: record.userEmail },
+      {
+        $set: {
+          password: bcrypt.hashSync(password, 10),
+          emailVerified: true,
+          passwordChangedAt: new Date(),
+        },
+        $addToSet: { authProviders: "password" },
+      }
+    );
+    await revokeSessions(record.userEmail, "password reset");
 
-    const result = await contestsCollection.insertOne(contest);
-    res.status(201).send({ insertedId: result.insertedId });
+    res.send({ message: "Password updated, please log in" });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// EDIT contest (creator & pending only)
-app.put("/contests/edit/:id", ensureDB, verifyJWT, verifyCreator, async (req, res) => {
+// GET current user
+app.get("/auth/me", ensureDB, verifyJWT, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
-
-    if (contest.creatorEmail !== req.user.email || contest.status !== "pending")
-      return res.status(403).send({ message: "Not allowed" });
+    const user = await usersCollection.findOne({ email: req.user.email });
+    if (!user) return res.status(404).send({ message: "User not found" });
 
-    await contestsCollection.updateOne({ _id: contest._id }, { $set: req.body });
-    res.send({ message: "Contest updated successfully" });
+    res.send({
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      photoURL: user.photoURL || null,
+      bio: user.bio || "",
+      emailVerified: user.emailVerified !== false,
+    });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// DELETE contest - Creator (pending) or Admin
-app.delete("/contests/:id", ensureDB, verifyJWT, async (req, res) => {
-  try {
-    const { id } = req.params;
+// Never send these to any client
+const SAFE_USER_PROJECTION = { password: 0, notificationPreferences: 0 };
 
-    if (!ObjectId.isValid(id))
-      return res.status(400).send({ message: "Invalid contest ID" });
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+// GET users: paginated, searchable, filterable (Admin only)
+app.get("/users", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.userQuery }), async (req, res) => {
+  try {
+    const { search, role, package: packageId, status, page = 1, limit = 20 } = req.query;
+    const query = {};
 
-    // Role-based delete check
-    if (req.user.role === "creator") {
-      // Creator can only delete own pending contest
-      if (contest.creatorEmail !== req.user.email || contest.status !== "pending") {
-        return res.status(403).send({ message: "Not allowed" });
-      }
-    } else if (req.user.role === "admin") {
-      // Admin can delete any contest → nothing to check
-    } else {
-      return res.status(403).send({ message: "Not allowed" });
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      query.$or = [{ name: pattern }, { email: pattern }];
     }
+    if (role) query.role = role;
+    if (packageId) query.currentPackage = packageId === FREE_PACKAGE_ID ? { $in: [FREE_PACKAGE_ID, null] } : packageId;
 
-    await contestsCollection.deleteOne({ _id: contest._id });
-    res.send({ message: "Contest deleted successfully" });
+    const now = new Date();
+    if (status === "banned") {
+      query["suspension.type"] = "ban";
+    } else if (status === "suspended") {
+      query["suspension.type"] = "suspend";
+      query.$and = [{ $or: [{ "suspension.until": null }, { "suspension.until": { $gt: now } }] }];
+    } else if (status === "active") {
+      query.$and = [{
+        $or: [
+          { suspension: null },
+          { "suspension.type": "suspend", "suspension.until": { $lte: now } },
+        ],
+      }];
+    }
+
+    const [users, total] = await Promise.all([
+      usersCollection
+        .find(query, { projection: SAFE_USER_PROJECTION })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      usersCollection.countDocuments(query),
+    ]);
+
+    res.send({ users, page, limit, total, totalPages: Math.ceil(total / limit) });
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ message: "Internal Server Error" });
+    res.status(500).send({ message: err.message });
   }
 });
 
-
-// ADMIN confirm / reject contest
-app.put("/contests/status/:id", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+// GET user details with activity counts (Admin only)
+app.get("/users/:id", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-
-    if (!["confirmed", "rejected"].includes(status))
-      return res.status(400).send({ message: "Invalid status" });
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
 
-    const result = await contestsCollection.findOneAndUpdate(
+    const user = await usersCollection.findOne(
       { _id: new ObjectId(id) },
-      { $set: { status } },
-      { returnDocument: "after" }
+      { projection: SAFE_USER_PROJECTION }
     );
+    if (!user) return res.status(404).send({ message: "User not found" });
 
-    res.send(result);
+    const [contestsCreated, registrations, submissions, wins, activeSessions] = await Promise.all([
+      contestsCollection.countDocuments({ creatorEmail: user.email }),
+      registrationsCollection.countDocuments({ userEmail: user.email }),
+      submissionsCollection.countDocuments({ userEmail: user.email }),
+      submissionsCollection.countDocuments({ userEmail: user.email, status: "winner" }),
+      sessionsCollection.countDocuments({ userEmail: user.email, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    res.send({
+      ...user,
+      suspension: activeSuspension(user),
+      stats: { contestsCreated, registrations, submissions, wins, activeSessions },
+    });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// REGISTER FOR CONTEST
-app.post("/contests/:id/register", ensureDB, verifyJWT, async (req, res) => {
+// SUSPEND or BAN a user (Admin only)
+app.put("/users/:id/suspend", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.suspension }), async (req, res) => {
   try {
     const { id } = req.params;
-    const userEmail = req.user.email;
+    const { type, reason, until } = req.body;
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
 
-    const participants = Array.isArray(contest.participants) ? contest.participants : [];
-    if (participants.includes(userEmail))
-      return res.status(400).send({ message: "Already registered" });
+    if (type === "suspend" && until && until <= new Date())
+      return res.status(400).send({ message: "until must be in the future" });
 
-    await contestsCollection.updateOne(
-      { _id: contest._id },
-      { $set: { participants: [...participants, userEmail] } }
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    if (user.role === "admin")
+      return res.status(400).send({ message: "Admins cannot be suspended" });
+
+    const suspension = {
+      type,
+      reason,
+      until: type === "ban" ? null : until || null,
+      by: req.user.email,
+      at: new Date(),
+    };
+
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { suspension }, $push: { suspensionHistory: { action: type, ...suspension } } }
     );
+    await revokeSessions(user.email, type === "ban" ? "banned" : "suspended");
+    await audit(req, `user.${type}`, { type: "user", id: user._id }, {
+      before: { suspension: user.suspension || null },
+      after: { suspension },
+      meta: { email: user.email },
+    });
 
-    res.send({ message: "Registered successfully" });
+    res.send({ message: type === "ban" ? "User banned" : "User suspended", suspension });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// SUBMIT TASK
-app.post("/contests/:id/submit-task", ensureDB, verifyJWT, async (req, res) => {
+// REINSTATE a suspended or banned user (Admin only)
+app.put("/users/:id/reinstate", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.reinstatement }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { submission } = req.body;
-    const userEmail = req.user.email;
-
-    if (!submission) return res.status(400).send({ message: "Submission cannot be empty" });
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+    if (!user) return res.status(404).send({ message: "User not found" });
 
-    if (!contest.participants?.includes(userEmail))
-      return res.status(400).send({ message: "You are not registered for this contest" });
+    if (!user.suspension)
+      return res.status(400).send({ message: "User is not suspended" });
 
-    const submissionObj = { userEmail, submission, submittedAt: new Date() };
-    await contestsCollection.updateOne(
-      { _id: contest._id },
-      { $push: { submissions: submissionObj } }
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: { suspension: null },
+        $push: {
+          suspensionHistory: {
+            action: "reinstate",
+            reason: req.body.reason || "",
+            by: req.user.email,
+            at: new Date(),
+          },
+        },
+      }
     );
+    await audit(req, "user.reinstate", { type: "user", id: user._id }, {
+      before: { suspension: user.suspension },
+      after: { suspension: null },
+      meta: { email: user.email, reason: req.body.reason || "" },
+    });
 
-    res.send({ message: "Submission successful" });
+    res.send({ message: "User reinstated" });
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// Declare winner for a contest (creator only)
-app.put("/contests/:id/declare-winner", ensureDB, verifyJWT, verifyCreator, async (req, res) => {
+// UPDATE user role (Admin only)
+app.put("/users/:id/role", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.role }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { userEmail } = req.body;
+    const { role, reason } = req.body;
 
-    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    if (!ROLES.includes(role))
+      return res.status(400).send({ message: `Role must be one of: ${ROLES.join(", ")}` });
 
-    if (contest.submissions?.some(s => s.status === "winner")) {
-      return res.status(400).send({ message: "Winner already declared" });
-    }
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+    if (!user) return res.status(404).send({ message: "User not found" });
 
-    const updatedSubmissions = (contest.submissions || []).map((s) =>
-      s.userEmail === userEmail ? { ...s, status: "winner" } : s
-    );
+    if (user.email === req.user.email)
+      return res.status(400).send({ message: "You cannot change your own role" });
 
-    await contestsCollection.updateOne(
-      { _id: contest._id },
-      { $set: { submissions: updatedSubmissions } }
-    );
+    if (user.role === role)
+      return res.status(400).send({ message: `User is already ${role}` });
 
-    res.send({ message: "Winner declared successfully" });
+    await changeUserRole(user, role, { changedBy: req.user.email, reason, source: "admin" });
+    await audit(req, "user.role_change", { type: "user", id: user._id }, {
+      before: { role: user.role },
+      after: { role },
+      meta: { email: user.email, reason: reason || "" },
+    });
+    res.send({ message: "Role updated successfully" });
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ message: "Internal server error" });
+    res.status(500).send({ message: err.message });
   }
 });
 
-// UPDATE contest - Creator can update own contest
-app.put("/contests/:id", ensureDB, verifyJWT, verifyCreator, async (req, res) => {
+// GET role change history for a user (Admin only)
+app.get("/users/:id/role-history", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    const history = await roleChangesCollection
+      .find({ userId: new ObjectId(id) })
+      .sort({ changedAt: -1 })
+      .toArray();
+    res.send(history);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
 
-    if (contest.creatorEmail !== req.user.email) {
-      return res.status(403).send({ message: "Not authorized" });
-    }
+// UPDATE current user
+app.put("/auth/me", ensureDB, verifyJWT, validate({ body: schemas.profile }, { partial: true }), async (req, res) => {
+  try {
+    if (!req.user?.email)
+      return res.status(401).send({ message: "Unauthorized" });
 
-    const allowedFields = [
-      "title", "description", "image", "price", "prizeMoney",
-      "taskInstruction", "category", "endDate", "isActive"
-    ];
+    const { name, photoURL, bio } = req.body;
+    const userEmail = req.user.email.toLowerCase();
 
     const updateFields = {};
-    allowedFields.forEach((field) => {
-      if (req.body[field] !== undefined) updateFields[field] = req.body[field];
-    });
+    if (name !== undefined) updateFields.name = name;
+    if (photoURL !== undefined) updateFields.photoURL = photoURL;
+    if (bio !== undefined) updateFields.bio = bio;
 
-    const result = await contestsCollection.findOneAndUpdate(
-      { _id: new ObjectId(id) },
+    const result = await usersCollection.findOneAndUpdate(
+      { email: userEmail },
       { $set: updateFields },
       { returnDocument: "after" }
     );
 
-    res.send({ message: "Contest updated successfully", contest: result });
+    if (!result) return res.status(404).send({ message: "User not found" });
+
+    res.send({
+      email: result.email,
+      name: result.name,
+      role: result.role,
+      photoURL: result.photoURL || null,
+      bio: result.bio || "",
+    });
   } catch (err) {
+    console.error("Profile update failed:", err);
     res.status(500).send({ message: err.message });
   }
 });
 
-// GET submissions for a contest (creator only)
-app.get("/contests/:id/submissions", ensureDB, verifyJWT, verifyCreator, async (req, res) => {
+
+/* ================= CREATOR APPLICATIONS ================= */
+
+// APPLY to become a creator
+app.post("/creator-applications", ensureDB, verifyJWT, validate({ body: schemas.creatorApplication }), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { portfolio, reason } = req.body;
 
-    if (!ObjectId.isValid(id))
-      return res.status(400).send({ message: "Invalid contest ID" });
+    if (req.user.role !== "user")
+      return res.status(400).send({ message: `You are already ${req.user.role === "admin" ? "an admin" : "a creator"}` });
 
-    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!contest) return res.status(404).send({ message: "Contest not found" });
+    if (!reason || !String(reason).trim())
+      return res.status(400).send({ message: "Please tell us why you want to become a creator" });
 
-    if (contest.creatorEmail !== req.user.email)
-      return res.status(403).send({ message: "Not authorized" });
+    const pending = await creatorApplicationsCollection.findOne({
+      userEmail: req.user.email,
+      status: "pending",
+    });
+    if (pending) return res.status(400).send({ message: "You already have a pending application" });
 
-    res.send(
-      (contest.submissions || []).map((s) => ({
-        participantName: s.participantName || "Anonymous",
-        participantEmail: s.userEmail,
-        taskInfo: s.submission,
-        submittedAt: s.submittedAt,
-        status: s.status,
-      }))
-    );
+    const user = await usersCollection.findOne({ email: req.user.email });
+    const application = {
+      userId: user._id,
+      userEmail: user.email,
+      userName: user.name,
+      portfolio: portfolio || "",
+      reason: String(reason).trim(),
+      status: "pending",
+      submittedAt: new Date(),
+    };
+
+    const result = await creatorApplicationsCollection.insertOne(application);
+    res.status(201).send({ insertedId: result.insertedId });
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ message: "Internal server error" });
+    if (err.code === 11000)
+      return res.status(400).send({ message: "You already have a pending application" });
+    res.status(500).send({ message: err.message });
   }
 });
 
-// ================= PACKAGES & LIMITS =================
-
-const defaultPackages = [
-  { id: "starter", name: "Starter", price: 0, limit: 2, description: "Post up to 2 contests for free" },
-  { id: "pro", name: "Pro", price: 10, limit: 10, description: "Post up to 10 contests" },
-  { id: "ultimate", name: "Ultimate", price: 25, limit: 100, description: "Unlimited-ish (up to 100) contests" },
-];
-
-app.get("/packages", async (req, res) => {
-  res.send(defaultPackages);
+// GET current user's applications
+app.get("/creator-applications/me", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const applications = await creatorApplicationsCollection
+      .find({ userEmail: req.user.email })
+      .sort({ submittedAt: -1 })
+      .toArray();
+    res.send(applications);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
 });
 
-// BUY PACKAGE
-app.post("/users/buy-package", ensureDB, verifyJWT, async (req, res) => {
+// GET application queue (Admin only)
+app.get("/creator-applications", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.creatorApplicationQuery }), async (req, res) => {
   try {
-    const { packageId } = req.body;
-    const pkg = defaultPackages.find((p) => p.id === packageId);
-    if (!pkg) return res.status(400).send({ message: "Invalid package" });
-
-    // Update user limit
-    await usersCollection.updateOne(
-      { email: req.user.email },
-      { $set: { contestLimit: pkg.limit, currentPackage: pkg.id } }
-    );
+    const { status = "pending" } = req.query;
+    const query = status === "all" ? {} : { status };
 
-    res.send({ message: "Package purchased successfully", limit: pkg.limit });
+    const applications = await creatorApplicationsCollection
+      .find(query)
+      .sort({ submittedAt: 1 })
+      .toArray();
+    res.send(applications);
   } catch (err) {
     res.status(500).send({ message: err.message });
   }
 });
 
-// ================= LEADERBOARD =================
-app.get("/leaderboard", ensureDB, async (req, res) => {
-  try {
-    // Optimized Leaderboard Calculation using MongoDB Aggregation
-    const leaderboard = await contestsCollection.aggregate([
-      { $unwind: "$submissions" },
-      { $match: { "submissions.status": "winner" } },
-      { $group: { _id: "$submissions.userEmail", points: { $sum: 1 } } },
-      { $sort: { points: -1 } },
-      {
+// APPROVE / REJECT an application (Admin only)
+app.put("/creator-applications/:id", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.applicationDecision }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, notes } = req.body;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid application ID" });
+
+    if (!["approved", "rejected"].includes(decision))
+      return res.status(400).send({ message: "Decision must be approved or rejected" });
+
+    const application = await creatorApplicationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: "pending" },
+      {
+        $set: {
+          status: decision,
+          notes: notes || "",
+          reviewedBy: req.user.email,
+          reviewedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!application)
+      return res.status(404).send({ message: "Pending application not found" });
+
+    if (decision === "approved") {
+      const user = await usersCollection.findOne({ _id: application.userId });
+      if (user && user.role === "user") {
+        await changeUserRole(user, "creator", {
+          changedBy: req.user.email,
+          reason: notes || "Creator application approved",
+          source: "creator-application",
+        });
+      }
+    }
+
+    await audit(req, `creator_application.${decision === "approved" ? "approve" : "reject"}`, { type: "creator_application", id: application._id }, {
+      before: { status: "pending" },
+      after: { status: decision },
+      meta: { email: application.userEmail, notes: notes || "" },
+    });
+
+    res.send(application);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= ORGANIZATIONS ================= */
+
+// Organizations let a team run contests together. Members are embedded in
+// the organization with one of ORG_ROLES; verifyJWT loads the caller's
+// roles into req.user.orgRoles ({ orgId: role }).
+const ORG_INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// What each role may do with an organization and its contests
+const ORG_ROLE_PERMISSIONS = {
+  owner: ["manage_contests", "delete_contests", "manage_members", "billing"],
+  editor: ["manage_contests"],
+  judge: ["judge"],
+};
+
+const orgRole = (user, orgId) => user?.orgRoles?.[String(orgId)] || null;
+
+const canInOrg = (user, orgId, permission) =>
+  (ORG_ROLE_PERMISSIONS[orgRole(user, orgId)] || []).includes(permission);
+
+// The caller's role on a contest: their organization role for contests an
+// organization owns, "owner" for a creator's own personal contests
+function contestRole(contest, user) {
+  if (!user) return null;
+  if (contest.orgId) return orgRole(user, contest.orgId);
+  return user.role === "creator" && contest.creatorEmail === user.email ? "owner" : null;
+}
+
+const canOnContest = (contest, user, permission) =>
+  (ORG_ROLE_PERMISSIONS[contestRole(contest, user)] || []).includes(permission);
+
+// Load the contest in req.params.id into req.contest, requiring
+// `permission` on it. Replaces verifyCreator plus an ownership check.
+const requireContestPermission = (permission) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest) return res.status(404).send({ message: "Contest not found" });
+
+    if (!canOnContest(contest, req.user, permission))
+      return res.status(403).send({ message: "Not authorized" });
+
+    req.contest = contest;
+    next();
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+};
+
+// Who hears about a contest's registrations and reviews: the creator of a
+// personal contest, or the members who manage an organization's contests
+async function contestOrganizers(contest) {
+  if (!contest.orgId) return [contest.creatorEmail];
+  const org = await organizationsCollection.findOne({ _id: contest.orgId }, { projection: { members: 1 } });
+  return (org?.members || [])
+    .filter((m) => (ORG_ROLE_PERMISSIONS[m.role] || []).includes("manage_contests"))
+    .map((m) => m.email);
+}
+
+// { orgId: role } for every organization the user belongs to
+async function loadOrgRoles(email) {
+  const orgs = await organizationsCollection
+    .find({ "members.email": email }, { projection: { members: { $elemMatch: { email } } } })
+    .toArray();
+  return Object.fromEntries(orgs.map((org) => [String(org._id), org.members[0].role]));
+}
+
+async function findOrganization(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send({ message: "Invalid organization ID" });
+    return null;
+  }
+
+  const org = await organizationsCollection.findOne({ _id: new ObjectId(id) });
+  if (!org || (!orgRole(req.user, org._id) && req.user.role !== "admin")) {
+    res.status(404).send({ message: "Organization not found" });
+    return null;
+  }
+  return org;
+}
+
+const ownerCount = (org) => org.members.filter((m) => m.role === "owner").length;
+
+// CREATE an organization. Only approved creators can start one; members
+// they invite don't need to be creators.
+app.post("/organizations", ensureDB, verifyJWT, verifyCreator, validate({ body: schemas.organization }), async (req, res) => {
+  try {
+    const now = new Date();
+    const org = {
+      name: req.body.name.trim(),
+      description: req.body.description || "",
+      members: [{ email: req.user.email, role: "owner", addedBy: req.user.email, addedAt: now }],
+      currentPackage: FREE_PACKAGE_ID,
+      contestLimit: defaultPackages.find((p) => p.id === FREE_PACKAGE_ID).limit,
+      packageExpiresAt: null,
+      createdBy: req.user.email,
+      createdAt: now,
+    };
+
+    const result = await organizationsCollection.insertOne(org);
+    await audit(req, "organization.create", { type: "organization", id: result.insertedId }, { after: { name: org.name } });
+    res.status(201).send({ ...org, _id: result.insertedId });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET organizations the current user belongs to
+app.get("/organizations", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const orgs = await organizationsCollection
+      .find({ "members.email": req.user.email })
+      .sort({ name: 1 })
+      .toArray();
+    res.send(orgs.map((org) => ({ ...org, myRole: orgRole(req.user, org._id) })));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET an organization with its members; owners also see pending invitations
+app.get("/organizations/:id", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    const canManage = canInOrg(req.user, org._id, "manage_members") || req.user.role === "admin";
+    const invitations = canManage
+      ? await orgInvitationsCollection
+          .find({ orgId: org._id, status: "pending", expiresAt: { $gt: new Date() } })
+          .sort({ createdAt: -1 })
+          .toArray()
+      : undefined;
+
+    res.send({ ...org, myRole: orgRole(req.user, org._id), invitations });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// UPDATE organization details (owners)
+app.put("/organizations/:id", ensureDB, verifyJWT, validate({ body: schemas.organization }, { partial: true }), async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    if (!canInOrg(req.user, org._id, "manage_members"))
+      return res.status(403).send({ message: "Owners only" });
+
+    if (Object.keys(req.body).length === 0)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    const updated = await organizationsCollection.findOneAndUpdate(
+      { _id: org._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    await audit(req, "organization.update", { type: "organization", id: org._id }, { before: org, after: updated });
+    res.send(updated);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// INVITE someone to an organization by email (owners)
+app.post("/organizations/:id/invitations", ensureDB, verifyJWT, validate({ body: schemas.orgInvitation }), async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    if (!canInOrg(req.user, org._id, "manage_members"))
+      return res.status(403).send({ message: "Owners only" });
+
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+
+    if (org.members.some((m) => m.email === email))
+      return res.status(400).send({ message: "Already a member" });
+
+    // An expired invitation still holds the pending slot in the unique
+    // index, so close it off before inviting again
+    const now = new Date();
+    await orgInvitationsCollection.updateMany(
+      { orgId: org._id, email, status: "pending", expiresAt: { $lte: now } },
+      { $set: { status: "expired", respondedAt: now } }
+    );
+
+    const invitation = {
+      orgId: org._id,
+      orgName: org.name,
+      email,
+      role,
+      invitedBy: req.user.email,
+      status: "pending",
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ORG_INVITATION_TTL_MS),
+    };
+    const result = await orgInvitationsCollection.insertOne(invitation);
+    invitation._id = result.insertedId;
+
+    await notify(email, "org_invitation", {
+      title: "Organization invitation",
+      message: `You were invited to join ${org.name} as ${role}.`,
+      link: "/invitations",
+      data: { orgId: org._id, invitationId: invitation._id },
+    });
+    await sendMail({
+      to: email,
+      subject: `You're invited to join ${org.name} on ContestHub`,
+      text: `${req.user.email} invited you to join ${org.name} as ${role}.\n\nSign in with this email address to accept:\n${CLIENT_URL}/invitations\n\nThis invitation expires in 7 days.`,
+    });
+    await audit(req, "organization.invite", { type: "organization", id: org._id }, { meta: { email, role } });
+
+    res.status(201).send(invitation);
+  } catch (err) {
+    if (isDuplicateKey(err))
+      return res.status(400).send({ message: "This person already has a pending invitation" });
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// REVOKE a pending invitation (owners)
+app.delete("/organizations/:id/invitations/:invitationId", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    if (!canInOrg(req.user, org._id, "manage_members"))
+      return res.status(403).send({ message: "Owners only" });
+
+    const { invitationId } = req.params;
+    if (!ObjectId.isValid(invitationId))
+      return res.status(400).send({ message: "Invalid invitation ID" });
+
+    const invitation = await orgInvitationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(invitationId), orgId: org._id, status: "pending" },
+      { $set: { status: "revoked", respondedAt: new Date() } }
+    );
+    if (!invitation) return res.status(404).send({ message: "Pending invitation not found" });
+
+    await audit(req, "organization.invite_revoke", { type: "organization", id: org._id }, {
+      meta: { invitationId: invitation._id, email: invitation.email, role: invitation.role },
+    });
+    res.send({ message: "Invitation revoked" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET the current user's pending invitations
+app.get("/users/me/invitations", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const invitations = await orgInvitationsCollection
+      .find({ email: req.user.email, status: "pending", expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(invitations);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// ACCEPT or DECLINE an invitation addressed to the current user
+app.put("/org-invitations/:id", ensureDB, verifyJWT, validate({ body: schemas.invitationDecision }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision } = req.body;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid invitation ID" });
+
+    const invitation = await orgInvitationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), email: req.user.email, status: "pending", expiresAt: { $gt: new Date() } },
+      { $set: { status: decision, respondedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!invitation) return res.status(404).send({ message: "Pending invitation not found" });
+
+    if (decision === "accepted") {
+      await organizationsCollection.updateOne(
+        { _id: invitation.orgId, "members.email": { $ne: req.user.email } },
+        {
+          $push: {
+            members: { email: req.user.email, role: invitation.role, addedBy: invitation.invitedBy, addedAt: new Date() },
+          },
+        }
+      );
+      await notify(invitation.invitedBy, "org_invitation", {
+        title: "Invitation accepted",
+        message: `${req.user.email} joined ${invitation.orgName} as ${invitation.role}.`,
+        link: `/organizations/${invitation.orgId}`,
+        data: { orgId: invitation.orgId },
+      });
+    }
+
+    res.send(invitation);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// CHANGE a member's role (owners). An organization always keeps an owner.
+app.put("/organizations/:id/members/:email", ensureDB, verifyJWT, validate({ body: schemas.orgMember }), async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    if (!canInOrg(req.user, org._id, "manage_members"))
+      return res.status(403).send({ message: "Owners only" });
+
+    const email = req.params.email.toLowerCase();
+    const member = org.members.find((m) => m.email === email);
+    if (!member) return res.status(404).send({ message: "Member not found" });
+
+    const { role } = req.body;
+    if (member.role === "owner" && role !== "owner" && ownerCount(org) === 1)
+      return res.status(400).send({ message: "An organization needs at least one owner" });
+
+    await organizationsCollection.updateOne(
+      { _id: org._id, "members.email": email },
+      { $set: { "members.$.role": role } }
+    );
+    await audit(req, "organization.member_role", { type: "organization", id: org._id }, {
+      before: { role: member.role },
+      after: { role },
+      meta: { email },
+    });
+
+    res.send({ message: "Member role updated" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// REMOVE a member (owners), or leave an organization yourself
+app.delete("/organizations/:id/members/:email", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const org = await findOrganization(req, res);
+    if (!org) return;
+
+    const email = req.params.email.toLowerCase();
+    if (email !== req.user.email && !canInOrg(req.user, org._id, "manage_members"))
+      return res.status(403).send({ message: "Owners only" });
+
+    const member = org.members.find((m) => m.email === email);
+    if (!member) return res.status(404).send({ message: "Member not found" });
+
+    if (member.role === "owner" && ownerCount(org) === 1)
+      return res.status(400).send({ message: "An organization needs at least one owner" });
+
+    await organizationsCollection.updateOne({ _id: org._id }, { $pull: { members: { email } } });
+    await audit(req, "organization.member_remove", { type: "organization", id: org._id }, {
+      before: { role: member.role },
+      meta: { email },
+    });
+
+    res.send({ message: "Member removed" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= CONTEST LIFECYCLE ================= */
+
+// draft → pending → confirmed → open → judging → completed, with rejected and
+// cancelled as side exits. Every status change goes through transitionContest.
+const CONTEST_TRANSITIONS = {
+  draft: ["pending", "cancelled"],
+  pending: ["draft", "confirmed", "rejected", "cancelled"],
+  rejected: ["draft"],
+  confirmed: ["open", "judging", "cancelled"],
+  open: ["judging", "cancelled"],
+  judging: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+const canTransition = (from, to) => (CONTEST_TRANSITIONS[from] || []).includes(to);
+
+// Atomically move a contest to a new status. Returns the updated contest, or
+// null if the transition is not allowed or someone else changed it first.
+async function transitionContest(contest, to, { by = "system", fields = {} } = {}) {
+  if (!canTransition(contest.status, to)) return null;
+
+  const now = new Date();
+  return contestsCollection.findOneAndUpdate(
+    { _id: contest._id, status: contest.status },
+    {
+      $set: { ...fields, status: to, updatedAt: now },
+      $push: { statusHistory: { from: contest.status, to, by, at: now } },
+    },
+    { returnDocument: "after" }
+  );
+}
+
+// Apply time-based transitions that are due: confirmed contests open once
+// their start date passes, and stop taking entries once endDate passes.
+async function syncContestStatus(contest, now = new Date()) {
+  let current = contest;
+
+  if (current.status === "confirmed" && (!current.startDate || new Date(current.startDate) <= now)) {
+    current = (await transitionContest(current, "open")) || current;
+  }
+
+  if (["confirmed", "open"].includes(current.status) && current.endDate && new Date(current.endDate) <= now) {
+    current = (await transitionContest(current, "judging")) || current;
+  }
+
+  return current;
+}
+
+async function runContestScheduler() {
+  const now = new Date();
+  const due = await contestsCollection
+    .find({
+      $or: [
+        { status: "confirmed", $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { status: { $in: ["confirmed", "open"] }, endDate: { $lte: now } },
+      ],
+    })
+    .toArray();
+
+  for (const contest of due) {
+    await syncContestStatus(contest, now);
+  }
+}
+
+const isAcceptingEntries = (contest, now = new Date()) =>
+  contest.status === "open" && (!contest.endDate || new Date(contest.endDate) > now);
+
+/* ================= PRIZES & RESULTS ================= */
+
+// Share of prizeMoney per place, in percent. Contests without their own
+// distribution give everything to 1st place.
+const DEFAULT_PRIZE_DISTRIBUTION = [{ place: 1, share: 100 }];
+
+// Leaderboard points per placement. Prize places below 3rd still beat an
+// honourable mention.
+const PLACE_POINTS = { 1: 10, 2: 6, 3: 3 };
+const LOWER_PLACE_POINTS = 2;
+const HONOURABLE_POINTS = 1;
+
+// 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st, 22nd, 23rd
+const placeLabel = (place) =>
+  `${place}${([11, 12, 13].includes(place % 100) ? null : { 1: "st", 2: "nd", 3: "rd" }[place % 10]) || "th"}`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Validate a creator-supplied distribution. Returns { value } or { error }.
+function normalizePrizeDistribution(distribution, honourableMentionShare = 0) {
+  if (!Array.isArray(distribution) || distribution.length === 0)
+    return { error: "prizeDistribution must be a non-empty array" };
+
+  const value = [];
+  for (const tier of distribution) {
+    const place = Number(tier?.place);
+    const share = Number(tier?.share);
+    if (!Number.isInteger(place) || place < 1)
+      return { error: "Each place must be a positive integer" };
+    if (!Number.isFinite(share) || share < 0)
+      return { error: `Invalid share for place ${place}` };
+    if (value.some((t) => t.place === place))
+      return { error: `Place ${place} listed twice` };
+    value.push({ place, share });
+  }
+
+  const total = value.reduce((sum, t) => sum + t.share, 0) + (Number(honourableMentionShare) || 0);
+  if (total > 100) return { error: "Prize shares cannot exceed 100%" };
+
+  return { value: value.sort((a, b) => a.place - b.place) };
+}
+
+// Turn placements into a ranked result set with prize amounts and points.
+// Returns { results } or { error }.
+function buildContestResults(contest, placements, honourableMentions = []) {
+  const distribution = contest.prizeDistribution?.length
+    ? contest.prizeDistribution
+    : DEFAULT_PRIZE_DISTRIBUTION;
+  const prizeMoney = Number(contest.prizeMoney) || 0;
+  const submissions = contest.submissions || [];
+  const hasSubmission = (email) => submissions.some((s) => s.userEmail === email);
+
+  const seen = new Set();
+  const results = [];
+
+  for (const { userEmail, place } of placements) {
+    const tier = distribution.find((t) => t.place === Number(place));
+    if (!tier) return { error: `Place ${place} is not offered by this contest` };
+    if (results.some((r) => r.place === tier.place))
+      return { error: `Place ${place} assigned twice` };
+    if (!hasSubmission(userEmail)) return { error: `${userEmail} has no submission` };
+    if (seen.has(userEmail)) return { error: `${userEmail} placed twice` };
+    seen.add(userEmail);
+
+    results.push({
+      userEmail,
+      place: tier.place,
+      label: placeLabel(tier.place),
+      prize: roundMoney((prizeMoney * tier.share) / 100),
+      points: PLACE_POINTS[tier.place] || LOWER_PLACE_POINTS,
+    });
+  }
+
+  if (new Set(honourableMentions).size !== honourableMentions.length)
+    return { error: "Honourable mentions list someone twice" };
+
+  const mentions = honourableMentions.filter((email) => !seen.has(email));
+  const mentionShare = Number(contest.honourableMentionShare) || 0;
+  for (const userEmail of mentions) {
+    if (!hasSubmission(userEmail)) return { error: `${userEmail} has no submission` };
+    results.push({
+      userEmail,
+      place: null,
+      label: "Honourable mention",
+      prize: roundMoney((prizeMoney * mentionShare) / 100 / mentions.length),
+      points: HONOURABLE_POINTS,
+    });
+  }
+
+  if (!results.some((r) => r.place === 1))
+    return { error: "A 1st place winner is required" };
+
+  return { results };
+}
+
+// Assign prize places to an already ranked list of { userEmail, score }
+function placementsFromRanking(contest, ranked) {
+  const distribution = contest.prizeDistribution?.length
+    ? contest.prizeDistribution
+    : DEFAULT_PRIZE_DISTRIBUTION;
+
+  const placements = [];
+  distribution.forEach((tier, i) => {
+    if (!ranked[i]) return;
+    placements.push({ userEmail: ranked[i].userEmail, place: tier.place });
+  });
+
+  for (let i = 1; i < Math.min(ranked.length, distribution.length + 1); i++) {
+    if (ranked[i].score === ranked[i - 1].score)
+      return { error: "Scores are tied, please submit placements manually" };
+  }
+
+  return { placements };
+}
+
+// Rank scored submissions into the contest's prize places
+function placementsFromScores(contest) {
+  const ranked = (contest.submissions || [])
+    .filter((s) => typeof s.score === "number")
+    .sort((a, b) => b.score - a.score);
+
+  return placementsFromRanking(contest, ranked);
+}
+
+/* ================= PANEL JUDGING ================= */
+
+// Contests without a rubric are judged on a single 0-100 score
+const DEFAULT_RUBRIC = [{ key: "overall", label: "Overall", weight: 1, maxScore: 100 }];
+
+// Judge disagreement (in points out of 100) above which an entry is flagged
+const JUDGE_SPREAD_THRESHOLD = 20;
+
+// Stable, opaque id for a participant's entry, so blind judging never has to
+// expose the participant's email. Keyed with a server secret so a judge can't
+// recompute it from a guessed email. Scores are stored by entry id: changing
+// the secret orphans them.
+const ENTRY_ID_SECRET = process.env.ENTRY_ID_SECRET || process.env.JWT_SECRET;
+const entryIdFor = (contestId, userEmail) =>
+  crypto.createHmac("sha256", ENTRY_ID_SECRET).update(`${contestId}:${userEmail}`).digest("hex").slice(0, 12);
+
+// Judges are the contest's own panel plus, for organization contests, the
+// organization's members with the judge role
+const isContestJudge = (contest, user) =>
+  (contest.judges || []).includes(user.email) || canOnContest(contest, user, "judge");
+
+// Everyone on the panel, for standings and judge reports
+async function contestJudges(contest) {
+  const judges = new Set(contest.judges || []);
+  if (contest.orgId) {
+    const org = await organizationsCollection.findOne({ _id: contest.orgId }, { projection: { members: 1 } });
+    (org?.members || []).filter((m) => m.role === "judge").forEach((m) => judges.add(m.email));
+  }
+  return [...judges];
+}
+
+function normalizeRubric(rubric) {
+  if (!Array.isArray(rubric) || rubric.length === 0)
+    return { error: "Rubric must be a non-empty array" };
+
+  const value = [];
+  for (const criterion of rubric) {
+    const key = String(criterion?.key || "").trim();
+    const weight = Number(criterion?.weight);
+    const maxScore = Number(criterion?.maxScore ?? 10);
+    if (!/^[a-zA-Z0-9_-]+$/.test(key))
+      return { error: "Each criterion needs a key of letters, digits, - or _" };
+    if (value.some((c) => c.key === key)) return { error: `Criterion ${key} listed twice` };
+    if (!Number.isFinite(weight) || weight <= 0)
+      return { error: `Invalid weight for ${key}` };
+    if (!Number.isFinite(maxScore) || maxScore <= 0)
+      return { error: `Invalid maxScore for ${key}` };
+    value.push({ key, label: criterion.label || key, weight, maxScore });
+  }
+
+  return { value };
+}
+
+// Weighted score out of 100 for one judge's criteria scores
+function weightedTotal(rubric, criteria) {
+  const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+  const points = rubric.reduce((sum, c) => sum + (criteria[c.key] / c.maxScore) * c.weight, 0);
+  return Math.round((points / totalWeight) * 10000) / 100;
+}
+
+const spreadOf = (values) => {
+  if (values.length === 0) return { min: null, max: null, range: null, stdDev: null };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    range: Math.round((Math.max(...values) - Math.min(...values)) * 100) / 100,
+    stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+  };
+};
+
+// Aggregate every judge's scores into ranked standings, with a report on
+// how far apart the judges were for each entry and criterion.
+async function computeStandings(contest) {
+  const rubric = contest.rubric?.length ? contest.rubric : DEFAULT_RUBRIC;
+  const judges = await contestJudges(contest);
+  const scores = await scoresCollection.find({ contestId: contest._id }).toArray();
+
+  const standings = (contest.submissions || []).map((s) => {
+    const entryId = entryIdFor(contest._id, s.userEmail);
+    const entryScores = scores.filter((sc) => sc.entryId === entryId);
+    const totals = entryScores.map((sc) => sc.total);
+    const average = totals.length
+      ? Math.round((totals.reduce((a, b) => a + b, 0) / totals.length) * 100) / 100
+      : null;
+    const spread = spreadOf(totals);
+
+    return {
+      entryId,
+      userEmail: s.userEmail,
+      participantName: s.participantName || "Anonymous",
+      score: average,
+      judgeCount: entryScores.length,
+      pendingJudges: judges.filter((j) => !entryScores.some((sc) => sc.judgeEmail === j)),
+      spread,
+      flagged: spread.range !== null && spread.range > JUDGE_SPREAD_THRESHOLD,
+      criteria: rubric.map((c) => ({
+        key: c.key,
+        label: c.label,
+        ...spreadOf(entryScores.map((sc) => sc.criteria[c.key]).filter((v) => typeof v === "number")),
+      })),
+    };
+  });
+
+  standings.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  standings.forEach((entry, i) => { entry.rank = entry.score === null ? null : i + 1; });
+
+  const overallMean = scores.length
+    ? scores.reduce((sum, sc) => sum + sc.total, 0) / scores.length
+    : null;
+  const judgeReport = judges.map((judgeEmail) => {
+    const own = scores.filter((sc) => sc.judgeEmail === judgeEmail).map((sc) => sc.total);
+    const mean = own.length ? own.reduce((a, b) => a + b, 0) / own.length : null;
+    return {
+      judgeEmail,
+      scored: own.length,
+      averageScore: mean === null ? null : Math.round(mean * 100) / 100,
+      // Positive means this judge scores more generously than the panel
+      bias: mean === null || overallMean === null ? null : Math.round((mean - overallMean) * 100) / 100,
+    };
+  });
+
+  const ranges = standings.map((e) => e.spread.range).filter((r) => r !== null);
+  return {
+    rubric,
+    standings,
+    report: {
+      averageRange: ranges.length
+        ? Math.round((ranges.reduce((a, b) => a + b, 0) / ranges.length) * 100) / 100
+        : null,
+      flaggedEntries: standings.filter((e) => e.flagged).length,
+      threshold: JUDGE_SPREAD_THRESHOLD,
+      judges: judgeReport,
+    },
+  };
+}
+
+/* ================= FILE STORAGE ================= */
+
+// A storage adapter keeps blobs by key:
+//   save(key, buffer) → Promise
+//   createReadStream(key) → Readable
+//   remove(key) → Promise
+// STORAGE_DRIVER picks one; object storage can be added next to "local".
+const storageDrivers = {
+  local: () => {
+    const root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+    const fileFor = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) throw new Error("Invalid storage key");
+      return file;
+    };
+
+    return {
+      save: async (key, buffer) => {
+        const file = fileFor(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      createReadStream: (key) => fs.createReadStream(fileFor(key)),
+      remove: (key) => fs.promises.rm(fileFor(key), { force: true }),
+    };
+  },
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+if (!storageDrivers[STORAGE_DRIVER]) {
+  console.error(` Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+  process.exit(1);
+}
+const storage = storageDrivers[STORAGE_DRIVER]();
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const UPLOAD_RULES = {
+  banner: { maxSize: 5 * MB, mimeTypes: IMAGE_TYPES },
+  submission: {
+    maxSize: 20 * MB,
+    mimeTypes: [...IMAGE_TYPES, "application/pdf", "application/zip", "text/plain"],
+  },
+};
+
+// Magic numbers, so a renamed executable can't pass as an image
+const FILE_SIGNATURES = {
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (b) => b.subarray(0, 4).toString("latin1") === "GIF8",
+  "image/webp": (b) =>
+    b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+  "application/zip": (b) => b.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+};
+
+const FILE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "text/plain": "txt",
+};
+
+// Multer middleware for one "file" field, with size and MIME limits.
+// Files stay in memory until the route has checked permissions.
+const uploadFile = (kind) => {
+  const rules = UPLOAD_RULES[kind];
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: rules.maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!rules.mimeTypes.includes(file.mimetype)) {
+        return cb(Object.assign(new Error(`File type must be one of: ${rules.mimeTypes.join(", ")}`), { status: 415 }));
+      }
+      cb(null, true);
+    },
+  }).single("file");
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE")
+        return res.status(413).send({ message: `File must be under ${rules.maxSize / MB} MB` });
+      if (err) return res.status(err.status || 400).send({ message: err.message });
+      if (!req.file) return res.status(400).send({ message: "A file field is required" });
+
+      const signature = FILE_SIGNATURES[req.file.mimetype];
+      if (signature && !signature(req.file.buffer))
+        return res.status(415).send({ message: "File contents do not match its type" });
+
+      next();
+    });
+  };
+};
+
+// Store an uploaded file and record it. Returns the files document.
+async function storeUpload(file, { kind, contestId, ownerEmail }) {
+  const _id = new ObjectId();
+  const key = `${kind}/${contestId}/${_id}.${FILE_EXTENSIONS[file.mimetype]}`;
+  await storage.save(key, file.buffer);
+
+  const doc = {
+    _id,
+    key,
+    kind,
+    contestId,
+    ownerEmail,
+    originalName: path.basename(file.originalname || "file").slice(0, 200),
+    mimeType: file.mimetype,
+    size: file.size,
+    createdAt: new Date(),
+  };
+  await filesCollection.insertOne(doc);
+  return doc;
+}
+
+const SERVER_URL = process.env.SERVER_URL;
+const fileUrl = (req, fileId) => `${SERVER_URL || `${req.protocol}://${req.get("host")}`}/files/${fileId}`;
+
+/* ================= CONTEST ENTRIES ================= */
+
+// Registrations and submissions live in their own collections. This attaches
+// them in the shape contests used to embed them (participants as emails,
+// submissions as objects) for code and responses that expect those arrays.
+// Withdrawn submissions and version history are left out.
+async function withEntries(contest) {
+  const [registrations, submissions] = await Promise.all([
+    registrationsCollection
+      .find({ contestId: contest._id }, { projection: { userEmail: 1 } })
+      .sort({ registeredAt: 1 })
+      .toArray(),
+    submissionsCollection
+      .find(
+        { contestId: contest._id, withdrawnAt: null },
+        { projection: { _id: 0, contestId: 0, history: 0 } }
+      )
+      .sort({ submittedAt: 1 })
+      .toArray(),
+  ]);
+
+  return {
+    ...contest,
+    participants: registrations.map((r) => r.userEmail),
+    submissions,
+  };
+}
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+// participantCount is kept by $inc on register. Recount it from
+// registrations for contests still in play, in case an increment was lost.
+async function reconcileParticipantCounts() {
+  const drifted = await contestsCollection
+    .aggregate([
+      { $match: { status: { $in: ["confirmed", "open", "judging"] } } },
+      {
         $lookup: {
-          from: "users",
+          from: "registrations",
           localField: "_id",
-          foreignField: "email",
-          as: "userDetails"
+          foreignField: "contestId",
+          pipeline: [{ $count: "count" }],
+          as: "registrations",
+        },
+      },
+      { $project: { participantCount: 1, actual: { $ifNull: [{ $first: "$registrations.count" }, 0] } } },
+      { $match: { $expr: { $ne: [{ $ifNull: ["$participantCount", 0] }, "$actual"] } } },
+    ])
+    .toArray();
+  if (!drifted.length) return;
+
+  await contestsCollection.bulkWrite(
+    drifted.map((c) => ({
+      updateOne: { filter: { _id: c._id }, update: { $set: { participantCount: c.actual } } },
+    }))
+  );
+}
+
+/* ================= CONTEST VISIBILITY ================= */
+
+// Statuses anyone may see. Drafts, pending and rejected contests are only
+// visible to their creator and admins.
+const PUBLIC_CONTEST_STATUSES = ["confirmed", "open", "judging", "completed"];
+
+// Fields only the creator and admins may see
+const PRIVATE_CONTEST_FIELDS = ["participants", "submissions", "statusHistory", "judges"];
+
+const canManageContest = (contest, viewer) =>
+  Boolean(viewer) && (viewer.role === "admin" || canOnContest(contest, viewer, "manage_contests"));
+
+const isContestVisible = (contest, viewer) =>
+  PUBLIC_CONTEST_STATUSES.includes(contest.status) || canManageContest(contest, viewer);
+
+// Results show names and prizes, never participant emails
+const publicResults = (results, submissions = []) =>
+  results.map(({ userEmail, ...result }) => ({
+    ...result,
+    participantName: submissions.find((s) => s.userEmail === userEmail)?.participantName || "Anonymous",
+  }));
+
+// Role-aware view of a single contest (pass it through withEntries first)
+function contestView(contest, viewer) {
+  const participants = contest.participants || [];
+  const participantCount = contest.participantCount ?? participants.length;
+
+  if (canManageContest(contest, viewer)) return { ...contest, participantCount };
+
+  const view = { ...contest, participantCount };
+  PRIVATE_CONTEST_FIELDS.forEach((field) => delete view[field]);
+
+  if (contest.results) view.results = publicResults(contest.results, contest.submissions);
+
+  if (viewer) {
+    view.isRegistered = participants.includes(viewer.email);
+    const mine = contest.submissions?.find((s) => s.userEmail === viewer.email);
+    if (mine) view.mySubmission = mine;
+  }
+
+  return view;
+}
+
+/* ================= CONTEST ROUTES ================= */
+
+// Sort options for GET /contests; _id breaks ties so pages stay stable
+const CONTEST_SORTS = {
+  deadline: { endDate: 1, _id: 1 },
+  prize: { prizeMoney: -1, _id: 1 },
+  participants: { participantCount: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  relevance: { score: { $meta: "textScore" }, _id: 1 },
+};
+
+// Rebuild the participants/submissions arrays for privileged listings
+const entryLookupStages = [
+  {
+    $lookup: {
+      from: "registrations",
+      localField: "_id",
+      foreignField: "contestId",
+      pipeline: [{ $sort: { registeredAt: 1 } }, { $project: { _id: 0, userEmail: 1 } }],
+      as: "participants",
+    },
+  },
+  { $addFields: { participants: "$participants.userEmail" } },
+  {
+    $lookup: {
+      from: "submissions",
+      localField: "_id",
+      foreignField: "contestId",
+      pipeline: [
+        { $match: { withdrawnAt: null } },
+        { $sort: { submittedAt: 1 } },
+        { $project: { _id: 0, contestId: 0, history: 0 } },
+      ],
+      as: "submissions",
+    },
+  },
+];
+
+// Attach entries to a page of contests for privileged listings, keeping
+// the page's order
+async function withPageEntries(contests) {
+  if (!contests.length) return contests;
+  const loaded = await contestsCollection
+    .aggregate([{ $match: { _id: { $in: contests.map((c) => c._id) } } }, { $project: { _id: 1 } }, ...entryLookupStages])
+    .toArray();
+  const entries = new Map(loaded.map((c) => [String(c._id), c]));
+  return contests.map((c) => ({ ...c, ...entries.get(String(c._id)) }));
+}
+
+// Public listings drop private fields and fetch only the placed entries'
+// names, so results can be shown the way contestView shows them
+const publicListingStages = [
+  { $project: Object.fromEntries(PRIVATE_CONTEST_FIELDS.map((f) => [f, 0])) },
+  {
+    $lookup: {
+      from: "submissions",
+      localField: "_id",
+      foreignField: "contestId",
+      let: { placed: { $ifNull: ["$results.userEmail", []] } },
+      pipeline: [
+        { $match: { withdrawnAt: null, $expr: { $in: ["$userEmail", "$$placed"] } } },
+        { $project: { _id: 0, userEmail: 1, participantName: 1 } },
+      ],
+      as: "resultEntries",
+    },
+  },
+];
+
+// GET contests: paginated, sortable and filterable, with category facets
+app.get("/contests", ensureDB, optionalJWT, validate({ query: schemas.contestQuery }), async (req, res) => {
+  try {
+    const {
+      creatorEmail, orgId, category, search, status, openNow, minPrice, maxPrice,
+      page = 1, limit = 12,
+    } = req.query;
+    const sort = req.query.sort || (search ? "relevance" : "newest");
+
+    if (sort === "relevance" && !search)
+      return res.status(400).send({ message: "sort=relevance requires a search term" });
+
+    // Admins see everything, creators see all of their own personal
+    // contests, organizers all of their organization's, and everyone else
+    // only sees approved contests without private fields
+    const viewer = req.user;
+    const ownListing =
+      viewer?.role === "creator" && creatorEmail && creatorEmail === viewer.email && !orgId;
+    const privileged =
+      viewer &&
+      (viewer.role === "admin" || ownListing || (orgId && canInOrg(viewer, orgId, "manage_contests")));
+
+    // Everything except category, so the facets count every category
+    const query = {};
+
+    // Organization contests keep the creating member's email, but access to
+    // them comes from the organization role, which may have changed since
+    if (ownListing) {
+      query.orgId = null;
+    }
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    if (creatorEmail) {
+      query.creatorEmail = creatorEmail;
+    }
+
+    if (orgId) {
+      query.orgId = new ObjectId(orgId);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (!privileged) {
+      if (status && !PUBLIC_CONTEST_STATUSES.includes(status))
+        return res.status(403).send({ message: "Not allowed" });
+      if (!status) query.status = { $in: PUBLIC_CONTEST_STATUSES };
+    }
+
+    if (openNow) {
+      query.status = "open";
+      query.endDate = { $gt: new Date() };
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) query.price.$gte = minPrice;
+      if (maxPrice !== undefined) query.price.$lte = maxPrice;
+    }
+
+    const categoryMatch = category && category !== "All" ? { category } : {};
+
+    const [result] = await contestsCollection.aggregate([
+      { $match: query },
+      { $addFields: { participantCount: { $ifNull: ["$participantCount", 0] } } },
+      {
+        $facet: {
+          contests: [
+            { $match: categoryMatch },
+            { $sort: CONTEST_SORTS[sort] },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            ...(privileged ? [] : publicListingStages),
+          ],
+          total: [{ $match: categoryMatch }, { $count: "count" }],
+          categories: [
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, category: "$_id", count: 1 } },
+          ],
+        },
+      },
+    ]).toArray();
+
+    // Entries are looked up per contest outside $facet, whose single result
+    // document can't hold a page of busy contests' submissions
+    const contests = privileged
+      ? await withPageEntries(result.contests)
+      : result.contests.map(({ resultEntries, ...contest }) =>
+          contest.results ? { ...contest, results: publicResults(contest.results, resultEntries) } : contest
+        );
+
+    const total = result.total[0]?.count || 0;
+    res.send({
+      contests,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      facets: { categories: result.categories },
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET contest by ID (role-aware)
+app.get("/contests/:id", ensureDB, optionalJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest || !isContestVisible(contest, req.user))
+      return res.status(404).send({ message: "Contest not found" });
+
+    res.send(contestView(await withEntries(contest), req.user));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// CREATE a contest: creators for themselves, or owners and editors for
+// their organization with `orgId`
+app.post("/contests", ensureDB, verifyJWT, requireVerifiedEmail, validate({ body: schemas.contest }), async (req, res) => {
+  try {
+    const { orgId } = req.body;
+    if (orgId ? !canInOrg(req.user, orgId, "manage_contests") : req.user.role !== "creator")
+      return res.status(403).send({ message: orgId ? "Not authorized for this organization" : "Creator only" });
+
+    // Check this billing period's limit, per organization for org contests
+    const account = orgId ? { orgId: new ObjectId(orgId) } : { userEmail: req.user.email };
+    const usage = await packageUsage(account);
+    if (usage.used >= usage.limit) {
+      return res.status(403).send({
+        message: `Contest limit reached (${usage.limit} per period on ${usage.package.name}). Please upgrade your package.`,
+        usage,
+      });
+    }
+
+    const dateErrors = checkContestDates(req.body.startDate, req.body.endDate);
+    if (dateErrors.length)
+      return res.status(400).send({ message: `${dateErrors[0].field} ${dateErrors[0].message}`, errors: dateErrors });
+
+    let prizeDistribution = DEFAULT_PRIZE_DISTRIBUTION;
+    if (req.body.prizeDistribution !== undefined) {
+      const normalized = normalizePrizeDistribution(req.body.prizeDistribution, req.body.honourableMentionShare);
+      if (normalized.error) return res.status(400).send({ message: normalized.error });
+      prizeDistribution = normalized.value;
+    }
+
+    const status = req.body.status === "draft" ? "draft" : "pending";
+    const contest = {
+      ...req.body,
+      prizeDistribution,
+      honourableMentionShare: req.body.honourableMentionShare || 0,
+      allowResubmission: Boolean(req.body.allowResubmission),
+      creatorEmail: req.user.email,
+      orgId: account.orgId || null,
+      status,
+      statusHistory: [{ from: null, to: status, by: req.user.email, at: new Date() }],
+      participantCount: 0,
+      createdAt: new Date(),
+      endDate: req.body.endDate || new Date(new Date().getTime() + 3 * 24 * 60 * 60 * 1000),
+    };
+
+    const result = await contestsCollection.insertOne(contest);
+    await audit(req, "contest.create", { type: "contest", id: result.insertedId }, {
+      after: { title: contest.title, status, price: contest.price, prizeMoney: contest.prizeMoney },
+    });
+    res.status(201).send({ insertedId: result.insertedId });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// EDIT contest (draft/pending only)
+app.put("/contests/edit/:id", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.contestUpdate }, { partial: true }), async (req, res) => {
+  try {
+    const { contest } = req;
+
+    if (Object.keys(req.body).length === 0)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    if (!["draft", "pending"].includes(contest.status))
+      return res.status(403).send({ message: "Not allowed" });
+
+    const updates = req.body;
+    const dateErrors = checkContestDates(
+      updates.startDate ?? contest.startDate,
+      updates.endDate ?? contest.endDate
+    );
+    if (dateErrors.length)
+      return res.status(400).send({ message: `${dateErrors[0].field} ${dateErrors[0].message}`, errors: dateErrors });
+
+    if (updates.prizeDistribution !== undefined || updates.honourableMentionShare !== undefined) {
+      const normalized = normalizePrizeDistribution(
+        updates.prizeDistribution ?? contest.prizeDistribution ?? DEFAULT_PRIZE_DISTRIBUTION,
+        updates.honourableMentionShare ?? contest.honourableMentionShare
+      );
+      if (normalized.error) return res.status(400).send({ message: normalized.error });
+      updates.prizeDistribution = normalized.value;
+    }
+
+    await contestsCollection.updateOne({ _id: contest._id }, { $set: updates });
+    await audit(req, "contest.update", { type: "contest", id: contest._id }, {
+      before: contest,
+      after: { ...contest, ...updates },
+    });
+    res.send({ message: "Contest updated successfully" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// DELETE contest - Creator (pending) or Admin
+app.delete("/contests/:id", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest) return res.status(404).send({ message: "Contest not found" });
+
+    // Role-based delete check
+    if (req.user.role !== "admin") {
+      // Owners can only delete their draft or pending contests; admins any
+      if (!canOnContest(contest, req.user, "delete_contests") || !["draft", "pending"].includes(contest.status)) {
+        return res.status(403).send({ message: "Not allowed" });
+      }
+    }
+
+    // Registrations are kept: paid ones are the user's payment receipts
+    await removeRankings(contest);
+    await contestsCollection.deleteOne({ _id: contest._id });
+    await submissionsCollection.deleteMany({ contestId: contest._id });
+    await scoresCollection.deleteMany({ contestId: contest._id });
+    await commentsCollection.deleteMany({ contestId: contest._id });
+
+    // Banner and submission files. Blobs go before their records, so a
+    // failure part way leaves the rest still findable.
+    const files = await filesCollection.find({ contestId: contest._id }, { projection: { key: 1 } }).toArray();
+    await Promise.all(files.map((file) => storage.remove(file.key)));
+    await filesCollection.deleteMany({ contestId: contest._id });
+    await audit(req, "contest.delete", { type: "contest", id: contest._id }, {
+      before: contest,
+      meta: { title: contest.title, creatorEmail: contest.creatorEmail },
+    });
+    res.send({ message: "Contest deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
+
+// ADMIN confirm / reject / cancel contest
+app.put("/contests/status/:id", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.contestStatus }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!["confirmed", "rejected", "cancelled"].includes(status))
+      return res.status(400).send({ message: "Invalid status" });
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest) return res.status(404).send({ message: "Contest not found" });
+
+    if (!canTransition(contest.status, status))
+      return res.status(400).send({ message: `Cannot move contest from ${contest.status} to ${status}` });
+
+    const updated = await transitionContest(contest, status, { by: req.user.email });
+    if (!updated) return res.status(409).send({ message: "Contest status changed, please retry" });
+
+    const action = { confirmed: "approve", rejected: "reject", cancelled: "cancel" }[status];
+    await audit(req, `contest.${action}`, { type: "contest", id: contest._id }, {
+      before: { status: contest.status },
+      after: { status },
+    });
+
+    const verb = { confirmed: "approved", rejected: "rejected", cancelled: "cancelled" }[status];
+    const organizers = await contestOrganizers(contest);
+    await Promise.all(
+      organizers.map((email) =>
+        notify(email, "contest_status", {
+          title: `Contest ${verb}`,
+          message: `Your contest "${contest.title}" was ${verb} by an admin.`,
+          link: `/contests/${contest._id}`,
+          data: { contestId: contest._id, status },
+        })
+      )
+    );
+
+    res.send(await syncContestStatus(updated));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// CREATOR submit draft for review / move back to draft / cancel
+app.put("/contests/:id/status", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.contestStatus }), async (req, res) => {
+  try {
+    const { contest } = req;
+    const { status } = req.body;
+
+    if (!["draft", "pending", "cancelled"].includes(status))
+      return res.status(400).send({ message: "Invalid status" });
+
+    // Creators may only cancel before entries open
+    if (status === "cancelled" && !["draft", "pending", "confirmed"].includes(contest.status))
+      return res.status(400).send({ message: "Contest can no longer be cancelled" });
+
+    if (!canTransition(contest.status, status))
+      return res.status(400).send({ message: `Cannot move contest from ${contest.status} to ${status}` });
+
+    const updated = await transitionContest(contest, status, { by: req.user.email });
+    if (!updated) return res.status(409).send({ message: "Contest status changed, please retry" });
+
+    await audit(req, "contest.status_change", { type: "contest", id: contest._id }, {
+      before: { status: contest.status },
+      after: { status },
+    });
+
+    res.send(updated);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// REGISTER FOR CONTEST
+app.post("/contests/:id/register", ensureDB, verifyJWT, rateLimit("contestRegister"), requireVerifiedEmail, validate({ body: schemas.contestRegistration }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+
+    const contest = await syncContestStatus(found);
+    if (!isAcceptingEntries(contest))
+      return res.status(400).send({ message: "Contest is not open for registration" });
+
+    const existing = await registrationsCollection.findOne({ contestId: contest._id, userEmail });
+    if (existing)
+      return res.status(400).send({ message: "Already registered" });
+
+    // Priced contests consume one succeeded, not yet used payment by this user
+    let payment = null;
+    if (Number(contest.price) > 0) {
+      const paymentQuery = {
+        userEmail,
+        purpose: "contest",
+        contestId: contest._id.toString(),
+        status: "succeeded",
+        usedAt: null,
+      };
+      if (req.body?.paymentIntentId) paymentQuery.paymentIntentId = req.body.paymentIntentId;
+
+      payment = await paymentsCollection.findOneAndUpdate(
+        paymentQuery,
+        { $set: { usedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!payment)
+        return res.status(402).send({ message: "Payment required for this contest" });
+    }
+
+    // The unique (contestId, userEmail) index settles concurrent requests
+    try {
+      await registrationsCollection.insertOne({
+        contestId: contest._id,
+        userEmail,
+        amount: payment ? payment.amount : 0,
+        currency: payment ? payment.currency : null,
+        paymentIntentId: payment ? payment.paymentIntentId : null,
+        registeredAt: new Date(),
+      });
+    } catch (err) {
+      // Whatever went wrong, the payment wasn't used: release it
+      if (payment) {
+        await paymentsCollection.updateOne({ _id: payment._id }, { $set: { usedAt: null } });
+      }
+      if (!isDuplicateKey(err)) throw err;
+      return res.status(400).send({ message: "Already registered" });
+    }
+
+    await contestsCollection.updateOne({ _id: contest._id }, { $inc: { participantCount: 1 } });
+
+    const organizers = await contestOrganizers(contest);
+    await Promise.all(
+      organizers.map((email) =>
+        notify(email, "contest_registration", {
+          title: "New registration",
+          message: `${userEmail} registered for "${contest.title}".`,
+          link: `/contests/${contest._id}`,
+          data: { contestId: contest._id, userEmail },
+        })
+      )
+    );
+
+    res.send({ message: "Registered successfully" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// SUBMIT TASK
+app.post("/contests/:id/submit-task", ensureDB, verifyJWT, rateLimit("submitTask"), validate({ body: schemas.submission }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { submission = "" } = req.body;
+    const userEmail = req.user.email;
+
+    if (!submission && !req.body.attachments?.length)
+      return res.status(400).send({ message: "Submission cannot be empty" });
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+
+    const contest = await syncContestStatus(found);
+    if (!isAcceptingEntries(contest))
+      return res.status(400).send({ message: "Contest is not accepting submissions" });
+
+    const registration = await registrationsCollection.findOne({ contestId: contest._id, userEmail });
+    if (!registration)
+      return res.status(400).send({ message: "You are not registered for this contest" });
+
+    // Attachments must be files this user uploaded to this contest
+    const attachmentIds = [...new Set(req.body.attachments || [])].map((fid) => new ObjectId(fid));
+    const files = await filesCollection
+      .find({ _id: { $in: attachmentIds }, kind: "submission", contestId: contest._id, ownerEmail: userEmail })
+      .toArray();
+    if (files.length !== attachmentIds.length)
+      return res.status(400).send({ message: "Unknown attachment" });
+    const attachments = files.map((f) => ({
+      fileId: f._id,
+      name: f.originalName,
+      mimeType: f.mimeType,
+      size: f.size,
+      url: fileUrl(req, f._id),
+    }));
+
+    const existing = await submissionsCollection.findOne({ contestId: contest._id, userEmail });
+
+    if (!existing) {
+      const user = await usersCollection.findOne({ email: userEmail });
+      try {
+        await submissionsCollection.insertOne({
+          contestId: contest._id,
+          userEmail,
+          participantName: user?.name || "Anonymous",
+          submission,
+          attachments,
+          submittedAt: new Date(),
+          updatedAt: new Date(),
+          version: 1,
+          history: [],
+          withdrawnAt: null,
+        });
+      } catch (err) {
+        if (!isDuplicateKey(err)) throw err;
+        return res.status(400).send({ message: "You have already submitted" });
+      }
+      return res.send({ message: "Submission successful", version: 1 });
+    }
+
+    if (!contest.allowResubmission) {
+      return res.status(400).send({
+        message: existing.withdrawnAt
+          ? "Resubmission is not allowed for this contest"
+          : "You have already submitted",
+      });
+    }
+
+    // Keep the previous version in history. Matching on version makes a
+    // concurrent resubmission fail instead of overwriting silently.
+    const version = (existing.version || 1) + 1;
+    const updated = await submissionsCollection.findOneAndUpdate(
+      { _id: existing._id, version: existing.version },
+      {
+        $set: { submission, attachments, updatedAt: new Date(), version, withdrawnAt: null },
+        $push: {
+          history: {
+            version: existing.version || 1,
+            submission: existing.submission,
+            attachments: existing.attachments || [],
+            submittedAt: existing.updatedAt || existing.submittedAt,
+            withdrawnAt: existing.withdrawnAt || null,
+          },
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!updated) return res.status(409).send({ message: "Submission changed, please retry" });
+
+    res.send({ message: "Submission updated", version });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET own submission with its version history
+app.get("/contests/:id/submission", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const submission = await submissionsCollection.findOne(
+      { contestId: new ObjectId(id), userEmail: req.user.email },
+      { projection: { contestId: 0 } }
+    );
+    if (!submission) return res.status(404).send({ message: "Submission not found" });
+
+    res.send(submission);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// WITHDRAW own submission (before the deadline)
+app.delete("/contests/:id/submission", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+
+    const contest = await syncContestStatus(found);
+    if (!isAcceptingEntries(contest))
+      return res.status(400).send({ message: "Submissions can no longer be withdrawn" });
+
+    const result = await submissionsCollection.updateOne(
+      { contestId: contest._id, userEmail: req.user.email, withdrawnAt: null },
+      { $set: { withdrawnAt: new Date(), updatedAt: new Date() } }
+    );
+    if (!result.matchedCount) return res.status(404).send({ message: "No active submission" });
+
+    res.send({ message: "Submission withdrawn" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// SCORE a submission (creator only)
+app.put("/contests/:id/submissions/score", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.submissionScore }), async (req, res) => {
+  try {
+    const { contest } = req;
+    const { userEmail, feedback } = req.body;
+    const score = Number(req.body.score);
+
+    if (!Number.isFinite(score) || score < 0 || score > 100)
+      return res.status(400).send({ message: "Score must be between 0 and 100" });
+
+    if (!["open", "judging"].includes(contest.status))
+      return res.status(400).send({ message: "Submissions cannot be scored in this state" });
+
+    const previous = await submissionsCollection.findOneAndUpdate(
+      { contestId: contest._id, userEmail, withdrawnAt: null },
+      { $set: { score, feedback: feedback || "", scoredAt: new Date() } },
+      { returnDocument: "before", projection: { score: 1, feedback: 1 } }
+    );
+    if (!previous) return res.status(404).send({ message: "Submission not found" });
+
+    await audit(req, "submission.score", { type: "submission", id: previous._id }, {
+      before: { score: previous.score ?? null, feedback: previous.feedback || "" },
+      after: { score, feedback: feedback || "" },
+      meta: { contestId: String(contest._id), userEmail },
+    });
+
+    res.send({ message: "Score saved" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// Declare results for a contest (creator only)
+// Body: { placements: [{ userEmail, place }], honourableMentions: [email] },
+// { rankBy: "score" | "panel" } to rank by creator or judge panel scores,
+// or legacy { userEmail }.
+app.put("/contests/:id/declare-winner", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.declareWinner }), async (req, res) => {
+  try {
+    const found = req.contest;
+    const { userEmail, rankBy, honourableMentions = [] } = req.body;
+
+    const alreadyWon = await submissionsCollection.findOne({ contestId: found._id, status: "winner" });
+    if (found.results?.length || alreadyWon) {
+      return res.status(400).send({ message: "Winner already declared" });
+    }
+
+    const contest = await withEntries(await syncContestStatus(found));
+    if (contest.status !== "judging")
+      return res.status(400).send({ message: "Winners can only be declared once the contest has ended" });
+
+    let placements = req.body.placements;
+    if (rankBy === "score") {
+      const ranked = placementsFromScores(contest);
+      if (ranked.error) return res.status(400).send({ message: ranked.error });
+      placements = ranked.placements;
+    } else if (rankBy === "panel") {
+      const { standings } = await computeStandings(contest);
+      const ranked = placementsFromRanking(contest, standings.filter((e) => e.score !== null));
+      if (ranked.error) return res.status(400).send({ message: ranked.error });
+      placements = ranked.placements;
+    } else if (!placements && userEmail) {
+      placements = [{ userEmail, place: 1 }];
+    }
+
+    if (!Array.isArray(placements) || !Array.isArray(honourableMentions))
+      return res.status(400).send({ message: "Placements are required" });
+
+    const { results, error } = buildContestResults(contest, placements, honourableMentions);
+    if (error) return res.status(400).send({ message: error });
+
+    // The status transition guards against a second concurrent declaration,
+    // so submissions are only marked once it has gone through
+    const updated = await transitionContest(contest, "completed", {
+      by: req.user.email,
+      fields: { results, resultsDeclaredAt: new Date() },
+    });
+    if (!updated) return res.status(409).send({ message: "Contest status changed, please retry" });
+
+    await submissionsCollection.bulkWrite(
+      results.map((result) => ({
+        updateOne: {
+          filter: { contestId: contest._id, userEmail: result.userEmail },
+          update: {
+            $set: {
+              status: result.place === 1 ? "winner" : result.place ? "placed" : "honourable",
+              place: result.place,
+              prize: result.prize,
+              points: result.points,
+            },
+          },
+        },
+      }))
+    );
+
+    await recordRankings(contest, results, updated.resultsDeclaredAt);
+
+    await audit(req, "contest.declare_winner", { type: "contest", id: contest._id }, {
+      before: { status: contest.status, results: null },
+      after: { status: "completed", results },
+      meta: { rankBy: rankBy || "manual" },
+    });
+
+    await Promise.all(
+      results.map((result) =>
+        notify(result.userEmail, "contest_result", {
+          title: result.place ? `You won ${result.label} place!` : "Honourable mention",
+          message: `Results for "${contest.title}" are in: ${result.label}${result.prize ? `, prize $${result.prize}` : ""}.`,
+          link: `/contests/${contest._id}`,
+          data: { contestId: contest._id, place: result.place, prize: result.prize },
+        })
+      )
+    );
+
+    res.send({ message: "Winner declared successfully", results });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+// UPDATE contest - Creator can update own contest
+app.put("/contests/:id", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.contestUpdate }, { partial: true }), async (req, res) => {
+  try {
+    const { contest } = req;
+
+    const allowedFields = [
+      "title", "description", "image", "price", "prizeMoney",
+      "taskInstruction", "category", "startDate", "endDate", "isActive",
+      "prizeDistribution", "honourableMentionShare", "allowResubmission"
+    ];
+
+    const updateFields = {};
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) updateFields[field] = req.body[field];
+    });
+
+    if (Object.keys(updateFields).length === 0)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    if (updateFields.startDate !== undefined && !["draft", "pending", "rejected", "confirmed"].includes(contest.status))
+      return res.status(400).send({ message: "The start date can't change once the contest has opened" });
+
+    if (updateFields.startDate !== undefined || updateFields.endDate !== undefined) {
+      const dateErrors = checkContestDates(
+        updateFields.startDate ?? contest.startDate,
+        updateFields.endDate ?? contest.endDate
+      );
+      if (dateErrors.length)
+        return res.status(400).send({ message: `${dateErrors[0].field} ${dateErrors[0].message}`, errors: dateErrors });
+    }
+
+    if (updateFields.prizeDistribution !== undefined || updateFields.honourableMentionShare !== undefined) {
+      if (contest.results?.length)
+        return res.status(400).send({ message: "Prizes cannot change after results are declared" });
+
+      const normalized = normalizePrizeDistribution(
+        updateFields.prizeDistribution ?? contest.prizeDistribution ?? DEFAULT_PRIZE_DISTRIBUTION,
+        updateFields.honourableMentionShare ?? contest.honourableMentionShare
+      );
+      if (normalized.error) return res.status(400).send({ message: normalized.error });
+      updateFields.prizeDistribution = normalized.value;
+    }
+
+    const result = await contestsCollection.findOneAndUpdate(
+      { _id: contest._id },
+      { $set: updateFields },
+      { returnDocument: "after" }
+    );
+    await audit(req, "contest.update", { type: "contest", id: contest._id }, { before: contest, after: result });
+
+    res.send({ message: "Contest updated successfully", contest: result });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET submissions for a contest (creator only)
+// ?history=true adds each entry's earlier versions; ?includeWithdrawn=true
+// also lists withdrawn entries.
+app.get("/contests/:id/submissions", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ query: schemas.submissionsQuery }), async (req, res) => {
+  try {
+    const { contest } = req;
+
+    const { history, includeWithdrawn } = req.query;
+    const query = { contestId: contest._id };
+    if (!includeWithdrawn) query.withdrawnAt = null;
+
+    const submissions = await submissionsCollection
+      .find(query, { projection: history ? {} : { history: 0 } })
+      .sort({ submittedAt: 1 })
+      .toArray();
+
+    res.send(
+      submissions.map((s) => ({
+        participantName: s.participantName || "Anonymous",
+        participantEmail: s.userEmail,
+        taskInfo: s.submission,
+        attachments: s.attachments || [],
+        submittedAt: s.submittedAt,
+        status: s.status,
+        score: s.score ?? null,
+        feedback: s.feedback || "",
+        place: s.place ?? null,
+        prize: s.prize ?? null,
+        version: s.version || 1,
+        updatedAt: s.updatedAt || s.submittedAt,
+        withdrawnAt: s.withdrawnAt || null,
+        ...(history ? { history: s.history || [] } : {}),
+      }))
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/* ================= FILE ROUTES ================= */
+
+// UPLOAD contest banner (creator only)
+app.post("/contests/:id/banner", ensureDB, verifyJWT, rateLimit("upload"), requireContestPermission("manage_contests"), uploadFile("banner"), async (req, res) => {
+  try {
+    const { contest } = req;
+
+    if (["completed", "cancelled"].includes(contest.status))
+      return res.status(400).send({ message: "Contest can no longer be edited" });
+
+    const file = await storeUpload(req.file, {
+      kind: "banner",
+      contestId: contest._id,
+      ownerEmail: req.user.email,
+    });
+    const image = fileUrl(req, file._id);
+
+    await contestsCollection.updateOne(
+      { _id: contest._id },
+      { $set: { image, bannerFileId: file._id } }
+    );
+
+    // Replace, don't accumulate, old banners
+    if (contest.bannerFileId) {
+      const previous = await filesCollection.findOneAndDelete({ _id: contest.bannerFileId });
+      if (previous) await storage.remove(previous.key);
+    }
+
+    await audit(req, "contest.banner_update", { type: "contest", id: contest._id }, {
+      before: { image: contest.image || null },
+      after: { image },
+    });
+
+    res.status(201).send({ image, fileId: file._id });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// Middleware: the caller is registered for a contest that is accepting
+// entries. Sets req.contest. Runs before the upload is read into memory.
+const requireEntrant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+
+    const contest = await syncContestStatus(found);
+    if (!isAcceptingEntries(contest))
+      return res.status(400).send({ message: "Contest is not accepting submissions" });
+
+    const registration = await registrationsCollection.findOne({
+      contestId: contest._id,
+      userEmail: req.user.email,
+    });
+    if (!registration)
+      return res.status(400).send({ message: "You are not registered for this contest" });
+
+    req.contest = contest;
+    next();
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+};
+
+// UPLOAD a submission file (registered participants). Pass the returned
+// fileId in `attachments` when calling submit-task.
+app.post("/contests/:id/submission-files", ensureDB, verifyJWT, rateLimit("upload"), requireEntrant, uploadFile("submission"), async (req, res) => {
+  try {
+    const { contest } = req;
+
+    const file = await storeUpload(req.file, {
+      kind: "submission",
+      contestId: contest._id,
+      ownerEmail: req.user.email,
+    });
+
+    res.status(201).send({
+      fileId: file._id,
+      name: file.originalName,
+      mimeType: file.mimeType,
+      size: file.size,
+      url: fileUrl(req, file._id),
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// DOWNLOAD a file. Banners are public; submission files are limited to the
+// participant, the contest's creator, its judges and admins.
+app.get("/files/:id", ensureDB, optionalJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid file ID" });
+
+    const file = await filesCollection.findOne({ _id: new ObjectId(id) });
+    if (!file) return res.status(404).send({ message: "File not found" });
+
+    if (file.kind === "submission") {
+      if (!req.user) return res.status(401).send({ message: "Unauthorized" });
+
+      const contest = await contestsCollection.findOne({ _id: file.contestId });
+      const allowed =
+        req.user.role === "admin" ||
+        file.ownerEmail === req.user.email ||
+        (contest && (canOnContest(contest, req.user, "manage_contests") || isContestJudge(contest, req.user)));
+      if (!allowed) return res.status(403).send({ message: "Not authorized" });
+    }
+
+    const fileHeaders = {
+      "Content-Type": file.mimeType,
+      "Content-Length": file.size,
+      "X-Content-Type-Options": "nosniff",
+      "Content-Disposition": `${file.kind === "banner" ? "inline" : "attachment"}; filename="${encodeURIComponent(file.originalName)}"`,
+      "Cache-Control": file.kind === "banner" ? "public, max-age=86400" : "private, no-store",
+    };
+    res.set(fileHeaders);
+
+    const stream = storage.createReadStream(file.key);
+    stream.on("error", () => {
+      if (res.headersSent) return res.destroy();
+      // Nothing was sent yet: answer with JSON, not under the file's headers
+      Object.keys(fileHeaders).forEach((header) => res.removeHeader(header));
+      res.status(404).send({ message: "File not found" });
+    });
+    stream.pipe(res);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= JUDGING ROUTES ================= */
+
+// CONFIGURE judging panel and rubric (creator only)
+app.put("/contests/:id/judging", ensureDB, verifyJWT, requireContestPermission("manage_contests"), validate({ body: schemas.judging }, { partial: true }), async (req, res) => {
+  try {
+    const { contest } = req;
+    const { judges, rubric, blindJudging } = req.body;
+
+    if (["completed", "cancelled"].includes(contest.status))
+      return res.status(400).send({ message: "Judging can no longer be changed" });
+
+    const updateFields = {};
+
+    if (judges !== undefined) {
+      if (!Array.isArray(judges)) return res.status(400).send({ message: "Judges must be an array" });
+      const emails = [...new Set(judges.map((e) => String(e).toLowerCase()))];
+      const found = await usersCollection
+        .find({ email: { $in: emails } }, { projection: { email: 1 } })
+        .toArray();
+      const missing = emails.filter((e) => !found.some((u) => u.email === e));
+      if (missing.length)
+        return res.status(400).send({ message: `No account found for: ${missing.join(", ")}` });
+      updateFields.judges = emails;
+    }
+
+    if (rubric !== undefined) {
+      const scored = await scoresCollection.countDocuments({ contestId: contest._id });
+      if (scored) return res.status(400).send({ message: "Rubric cannot change once judges have scored" });
+      const normalized = normalizeRubric(rubric);
+      if (normalized.error) return res.status(400).send({ message: normalized.error });
+      updateFields.rubric = normalized.value;
+    }
+
+    if (blindJudging !== undefined) updateFields.blindJudging = Boolean(blindJudging);
+
+    const result = await contestsCollection.findOneAndUpdate(
+      { _id: contest._id },
+      { $set: updateFields },
+      { returnDocument: "after" }
+    );
+
+    await audit(req, "contest.judging_update", { type: "contest", id: contest._id }, { before: contest, after: result });
+
+    const invited = (updateFields.judges || []).filter((e) => !(contest.judges || []).includes(e));
+    await Promise.all(
+      invited.map((judgeEmail) =>
+        notify(judgeEmail, "judge_invitation", {
+          title: "Judging invitation",
+          message: `You were invited to judge "${contest.title}".`,
+          link: `/judge/contests/${contest._id}`,
+          data: { contestId: contest._id },
+        })
+      )
+    );
+
+    res.send({
+      judges: result.judges || [],
+      rubric: result.rubric?.length ? result.rubric : DEFAULT_RUBRIC,
+      blindJudging: Boolean(result.blindJudging),
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET contests the current user judges
+app.get("/judge/contests", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const judgeOrgIds = Object.keys(req.user.orgRoles)
+      .filter((orgId) => canInOrg(req.user, orgId, "judge"))
+      .map((orgId) => new ObjectId(orgId));
+
+    const contests = await contestsCollection
+      .find(
+        { $or: [{ judges: req.user.email }, { orgId: { $in: judgeOrgIds } }] },
+        { projection: { title: 1, image: 1, category: 1, status: 1, endDate: 1, blindJudging: 1 } }
+      )
+      .toArray();
+    res.send(contests);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET submissions to score (judges only)
+app.get("/contests/:id/judge/submissions", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+    const contest = await withEntries(found);
+
+    if (!isContestJudge(contest, req.user))
+      return res.status(403).send({ message: "Judges only" });
+
+    const myScores = await scoresCollection
+      .find({ contestId: contest._id, judgeEmail: req.user.email })
+      .toArray();
+
+    res.send({
+      rubric: contest.rubric?.length ? contest.rubric : DEFAULT_RUBRIC,
+      blindJudging: Boolean(contest.blindJudging),
+      submissions: (contest.submissions || []).map((s, i) => {
+        const entryId = entryIdFor(contest._id, s.userEmail);
+        const mine = myScores.find((sc) => sc.entryId === entryId);
+        const entry = {
+          entryId,
+          label: `Entry #${i + 1}`,
+          taskInfo: s.submission,
+          attachments: s.attachments || [],
+          submittedAt: s.submittedAt,
+          myScores: mine ? mine.criteria : null,
+          myTotal: mine ? mine.total : null,
+          myComment: mine ? mine.comment : "",
+        };
+        if (!contest.blindJudging) {
+          entry.participantName = s.participantName || "Anonymous";
+          entry.participantEmail = s.userEmail;
+        }
+        return entry;
+      }),
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// SCORE an entry against the rubric (judges only)
+app.put("/contests/:id/judge/scores", ensureDB, verifyJWT, validate({ body: schemas.judgeScore }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { entryId, scores = {}, comment } = req.body;
+
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+    const contest = await withEntries(found);
+
+    if (!isContestJudge(contest, req.user))
+      return res.status(403).send({ message: "Judges only" });
+
+    if (!["open", "judging"].includes(contest.status))
+      return res.status(400).send({ message: "Submissions cannot be scored in this state" });
+
+    const submission = (contest.submissions || []).find(
+      (s) => entryIdFor(contest._id, s.userEmail) === entryId
+    );
+    if (!submission) return res.status(404).send({ message: "Entry not found" });
+
+    const rubric = contest.rubric?.length ? contest.rubric : DEFAULT_RUBRIC;
+    const criteria = {};
+    for (const c of rubric) {
+      const value = Number(scores[c.key]);
+      if (!Number.isFinite(value) || value < 0 || value > c.maxScore)
+        return res.status(400).send({ message: `${c.label} must be between 0 and ${c.maxScore}` });
+      criteria[c.key] = value;
+    }
+
+    const total = weightedTotal(rubric, criteria);
+    await scoresCollection.updateOne(
+      { contestId: contest._id, judgeEmail: req.user.email, entryId },
+      {
+        $set: { userEmail: submission.userEmail, criteria, total, comment: comment || "", updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+    await audit(req, "judge.score", { type: "submission", id: entryId }, {
+      after: { criteria, total, comment: comment || "" },
+      meta: { contestId: String(contest._id) },
+    });
+
+    res.send({ message: "Score saved", total });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET aggregated standings and judge agreement report (creator, judges, admin)
+app.get("/contests/:id/standings", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send({ message: "Invalid contest ID" });
+
+    const found = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!found) return res.status(404).send({ message: "Contest not found" });
+    const contest = await withEntries(found);
+
+    const isOwner = canManageContest(contest, req.user);
+    if (!isOwner && !isContestJudge(contest, req.user))
+      return res.status(403).send({ message: "Not authorized" });
+
+    const result = await computeStandings(contest);
+
+    // Judges only see identities when the contest is not blind
+    if (!isOwner && contest.blindJudging) {
+      result.standings = result.standings.map(({ userEmail, participantName, ...entry }) => entry);
+      result.report.judges = result.report.judges.map(({ judgeEmail, ...j }) =>
+        judgeEmail === req.user.email ? { judgeEmail, ...j } : j
+      );
+    }
+
+    res.send(result);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= PARTICIPANT PROFILES ================= */
+
+const RESULT_STATUSES = ["winner", "placed", "honourable"];
+
+// Where a contest stands from a participant's point of view
+function deadlineStatus(contest, now = new Date()) {
+  if (["completed", "cancelled"].includes(contest.status)) return contest.status;
+  if (isAcceptingEntries(contest, now)) return "open";
+  if (contest.startDate && new Date(contest.startDate) > now) return "upcoming";
+  return "closed";
+}
+
+// Achievements, computed from the figures participantStats returns
+const BADGES = [
+  { id: "first_entry", label: "First Entry", description: "Submitted an entry to a contest", earned: (s) => s.submissions >= 1 },
+  { id: "first_win", label: "First Win", description: "Won a contest", earned: (s) => s.wins >= 1 },
+  { id: "podium", label: "On the Podium", description: "Finished in the top three", earned: (s) => s.podiums >= 1 },
+  { id: "five_wins", label: "High Five", description: "Won five contests", earned: (s) => s.wins >= 5 },
+  { id: "ten_wins", label: "Perfect Ten", description: "Won ten contests", earned: (s) => s.wins >= 10 },
+  {
+    id: "all_rounder",
+    label: "All-Rounder",
+    description: "Won a contest in every category",
+    earned: (s) => CONTEST_CATEGORIES.every((category) => s.winCategories.includes(category)),
+  },
+];
+
+const badgesFor = (stats) =>
+  BADGES.map(({ earned, ...badge }) => ({ ...badge, earned: earned(stats) }));
+
+// A user's placements, newest first. Winners declared before placements
+// existed count as 1st place with the whole prize.
+function participantResults(userEmail, limit = 0) {
+  const pipeline = [
+    { $match: { userEmail, status: { $in: RESULT_STATUSES } } },
+    { $lookup: { from: "contests", localField: "contestId", foreignField: "_id", as: "contest" } },
+    { $unwind: "$contest" },
+    {
+      $project: {
+        _id: 0,
+        contestId: 1,
+        contestTitle: "$contest.title",
+        contestImage: "$contest.image",
+        category: "$contest.category",
+        status: 1,
+        place: { $cond: [{ $eq: ["$status", "winner"] }, { $ifNull: ["$place", 1] }, "$place"] },
+        prize: {
+          $ifNull: ["$prize", { $cond: [{ $eq: ["$status", "winner"] }, { $ifNull: ["$contest.prizeMoney", 0] }, 0] }],
+        },
+        points: 1,
+        declaredAt: { $ifNull: ["$contest.resultsDeclaredAt", "$submittedAt"] },
+      },
+    },
+    { $sort: { declaredAt: -1 } },
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  return submissionsCollection.aggregate(pipeline).toArray();
+}
+
+async function participantStats(userEmail) {
+  const [contestsEntered, completed, submissions, results] = await Promise.all([
+    registrationsCollection.countDocuments({ userEmail }),
+    registrationsCollection
+      .aggregate([
+        { $match: { userEmail } },
+        { $lookup: { from: "contests", localField: "contestId", foreignField: "_id", as: "contest" } },
+        { $match: { "contest.status": "completed" } },
+        { $count: "count" },
+      ])
+      .toArray(),
+    submissionsCollection.countDocuments({ userEmail, withdrawnAt: null }),
+    participantResults(userEmail),
+  ]);
+
+  const contestsCompleted = completed[0]?.count || 0;
+  const wins = results.filter((r) => r.place === 1);
+
+  return {
+    stats: {
+      contestsEntered,
+      contestsCompleted,
+      submissions,
+      wins: wins.length,
+      podiums: results.filter((r) => r.place && r.place <= 3).length,
+      honourableMentions: results.filter((r) => r.status === "honourable").length,
+      totalPrize: roundMoney(results.reduce((sum, r) => sum + (r.prize || 0), 0)),
+      // Percentage of completed contests entered that the user won
+      winRate: contestsCompleted ? Math.round((wins.length / contestsCompleted) * 1000) / 10 : 0,
+      winCategories: [...new Set(wins.map((r) => r.category))],
+    },
+    results,
+  };
+}
+
+// GET the current user's figures and badges
+app.get("/users/me/stats", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { stats } = await participantStats(req.user.email);
+    res.send({ stats, badges: badgesFor(stats) });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET contests the current user registered for, with where each stands,
+// whether they submitted and how they placed. Receipts for contests that
+// were since deleted are kept, with the contest fields null.
+// ?paid=true lists paid registrations only. Without any query this answers
+// in the original shape: a bare array of every paid registration.
+app.get("/users/me/registrations", ensureDB, verifyJWT, validate({ query: schemas.registrationQuery }), async (req, res) => {
+  try {
+    const legacy = !Object.keys(req.query).length;
+    const { paid = legacy, page = 1, limit = 20 } = req.query;
+    const match = { userEmail: req.user.email, ...(paid && { paymentIntentId: { $ne: null } }) };
+
+    const [registrations, total] = await Promise.all([
+      registrationsCollection
+        .aggregate([
+          { $match: match },
+          { $sort: { registeredAt: -1 } },
+          ...(legacy ? [] : [{ $skip: (page - 1) * limit }, { $limit: limit }]),
+          { $lookup: { from: "contests", localField: "contestId", foreignField: "_id", as: "contest" } },
+          { $unwind: { path: "$contest", preserveNullAndEmptyArrays: true } },
+          {
+            $lookup: {
+              from: "submissions",
+              let: { contestId: "$contestId" },
+              pipeline: [
+                { $match: { $expr: { $eq: ["$contestId", "$$contestId"] }, userEmail: req.user.email } },
+                { $project: { status: 1, place: 1, prize: 1, submittedAt: 1, withdrawnAt: 1 } },
+              ],
+              as: "submission",
+            },
+          },
+        ])
+        .toArray(),
+      registrationsCollection.countDocuments(match),
+    ]);
+
+    const now = new Date();
+    const rows = registrations.map(({ _id, contestId, contest, submission, amount, currency, paymentIntentId, registeredAt }) => {
+      const mine = submission[0];
+      return {
+        _id,
+        contestId,
+        contestTitle: contest?.title ?? null,
+        contestImage: contest?.image ?? null,
+        category: contest?.category ?? null,
+        status: contest?.status ?? null,
+        deadlineStatus: contest ? deadlineStatus(contest, now) : null,
+        startDate: contest?.startDate || null,
+        endDate: contest?.endDate ?? null,
+        amount: (amount || 0) / 100,
+        currency,
+        paymentIntentId,
+        registeredAt,
+        submitted: Boolean(mine && !mine.withdrawnAt),
+        result: mine && RESULT_STATUSES.includes(mine.status)
+          ? { status: mine.status, place: mine.place ?? (mine.status === "winner" ? 1 : null), prize: mine.prize ?? null }
+          : null,
+      };
+    });
+
+    if (legacy) return res.send(rows);
+    res.send({ registrations: rows, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET the current user's submissions, newest first
+app.get("/users/me/submissions", ensureDB, verifyJWT, validate({ query: schemas.historyQuery }), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const match = { userEmail: req.user.email };
+
+    const [submissions, total] = await Promise.all([
+      submissionsCollection
+        .aggregate([
+          { $match: match },
+          { $sort: { submittedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $lookup: { from: "contests", localField: "contestId", foreignField: "_id", as: "contest" } },
+          { $unwind: { path: "$contest", preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              contestId: 1,
+              contestTitle: "$contest.title",
+              contestStatus: "$contest.status",
+              submission: 1,
+              attachments: 1,
+              version: 1,
+              status: 1,
+              score: 1,
+              feedback: 1,
+              place: 1,
+              prize: 1,
+              submittedAt: 1,
+              updatedAt: 1,
+              withdrawnAt: 1,
+            },
+          },
+        ])
+        .toArray(),
+      submissionsCollection.countDocuments(match),
+    ]);
+
+    res.send({ submissions, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET the current user's wins and placements with prize amounts
+app.get("/users/me/wins", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { stats, results } = await participantStats(req.user.email);
+    res.send({
+      results,
+      wins: stats.wins,
+      totalPrize: stats.totalPrize,
+      winRate: stats.winRate,
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET a user's public profile. Never includes their email.
+app.get("/users/:id/profile", ensureDB, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid user ID" });
+
+    const user = await usersCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { email: 1, name: 1, photoURL: 1, bio: 1, role: 1, createdAt: 1 } }
+    );
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const { stats, results } = await participantStats(user.email);
+
+    res.send({
+      _id: user._id,
+      name: user.name || "Anonymous",
+      photoURL: user.photoURL || null,
+      bio: user.bio || "",
+      role: user.role,
+      memberSince: user.createdAt || null,
+      stats,
+      badges: badgesFor(stats).filter((badge) => badge.earned),
+      recentResults: results.slice(0, 10),
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= CONTEST COMMENTS ================= */
+
+// Comments are threaded one level deep: replies hang off a top-level
+// comment, and replying to a reply joins the same thread. The contest's
+// organizers (its creator, or its organization's owners and editors) can pin
+// comments and mark their own as official clarifications.
+
+// Comments from before organizations record only the author's email
+const isOrganizerComment = (comment, contest) =>
+  comment.byOrganizer ?? comment.authorEmail === contest.creatorEmail;
+
+// Public shape of a comment. Author emails are only shown to people who
+// manage the contest.
+function commentView(comment, contest, viewer) {
+  const manager = canManageContest(contest, viewer);
+  const view = {
+    _id: comment._id,
+    parentId: comment.parentId,
+    author: {
+      name: comment.authorName || "Anonymous",
+      photoURL: comment.authorPhotoURL || null,
+      isCreator: isOrganizerComment(comment, contest),
+    },
+    body: comment.body,
+    pinned: Boolean(comment.pinned),
+    official: Boolean(comment.official),
+    hidden: Boolean(comment.hiddenAt),
+    mine: Boolean(viewer) && comment.authorEmail === viewer.email,
+    createdAt: comment.createdAt,
+  };
+
+  if (comment.hiddenAt && viewer?.role !== "admin") view.body = null;
+  if (manager) view.author.email = comment.authorEmail;
+  if (viewer?.role === "admin") {
+    view.reportCount = comment.reportCount || 0;
+    view.hiddenReason = comment.hiddenReason || null;
+  }
+  return view;
+}
+
+async function findContestComment(req, res) {
+  const { id, commentId } = req.params;
+  if (!ObjectId.isValid(id) || !ObjectId.isValid(commentId)) {
+    res.status(400).send({ message: "Invalid ID" });
+    return {};
+  }
+
+  const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+  if (!contest || !isContestVisible(contest, req.user)) {
+    res.status(404).send({ message: "Contest not found" });
+    return {};
+  }
+
+  const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId), contestId: contest._id });
+  if (!comment) {
+    res.status(404).send({ message: "Comment not found" });
+    return {};
+  }
+
+  return { contest, comment };
+}
+
+async function notifyClarification(contest, comment) {
+  const registrations = await registrationsCollection
+    .find({ contestId: contest._id }, { projection: { userEmail: 1 } })
+    .toArray();
+
+  await Promise.all(
+    registrations.map((r) =>
+      notify(r.userEmail, "contest_clarification", {
+        title: "New clarification",
+        message: `The creator of "${contest.title}" posted a clarification.`,
+        link: `/contests/${contest._id}#comment-${comment._id}`,
+        data: { contestId: contest._id, commentId: comment._id },
+      })
+    )
+  );
+}
+
+// GET comments for a contest: top-level threads with their replies.
+// Pinned threads first, then oldest first.
+app.get("/contests/:id/comments", ensureDB, optionalJWT, validate({ query: schemas.commentQuery }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest || !isContestVisible(contest, req.user))
+      return res.status(404).send({ message: "Contest not found" });
+
+    const query = { contestId: contest._id, parentId: null };
+    const [threads, total] = await Promise.all([
+      commentsCollection
+        .find(query)
+        .sort({ pinned: -1, official: -1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      commentsCollection.countDocuments(query),
+    ]);
+
+    const replies = await commentsCollection
+      .find({ contestId: contest._id, parentId: { $in: threads.map((t) => t._id) } })
+      .sort({ pinned: -1, createdAt: 1 })
+      .toArray();
+
+    res.send({
+      comments: threads.map((thread) => ({
+        ...commentView(thread, contest, req.user),
+        replies: replies
+          .filter((r) => r.parentId.equals(thread._id))
+          .map((r) => commentView(r, contest, req.user)),
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// POST a comment or reply. The creator may post it as an official
+// clarification, which notifies everyone registered.
+app.post("/contests/:id/comments", ensureDB, verifyJWT, rateLimit("comment"), requireVerifiedEmail, validate({ body: schemas.comment }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, parentId, official } = req.body;
+
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid contest ID" });
+
+    const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+    if (!contest || !isContestVisible(contest, req.user))
+      return res.status(404).send({ message: "Contest not found" });
+
+    if (contest.status === "cancelled")
+      return res.status(400).send({ message: "Comments are closed for this contest" });
+
+    const byOrganizer = canOnContest(contest, req.user, "manage_contests");
+    if (official && !byOrganizer)
+      return res.status(403).send({ message: "Only the contest's organizers can post clarifications" });
+
+    let threadId = null;
+    if (parentId) {
+      const parent = await commentsCollection.findOne({ _id: new ObjectId(parentId), contestId: contest._id });
+      if (!parent) return res.status(404).send({ message: "Parent comment not found" });
+      threadId = parent.parentId || parent._id;
+    }
+
+    const author = await usersCollection.findOne(
+      { email: req.user.email },
+      { projection: { name: 1, photoURL: 1 } }
+    );
+    const comment = {
+      contestId: contest._id,
+      parentId: threadId,
+      authorEmail: req.user.email,
+      authorName: author?.name || null,
+      authorPhotoURL: author?.photoURL || null,
+      byOrganizer,
+      body: body.trim(),
+      pinned: false,
+      official: Boolean(official),
+      hiddenAt: null,
+      reports: [],
+      reportCount: 0,
+      createdAt: new Date(),
+    };
+
+    const result = await commentsCollection.insertOne(comment);
+    comment._id = result.insertedId;
+
+    if (comment.official) await notifyClarification(contest, comment);
+
+    res.status(201).send(commentView(comment, contest, req.user));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// PIN a comment or mark an organizer's comment as an official
+// clarification (organizers or admin)
+app.put("/contests/:id/comments/:commentId", ensureDB, verifyJWT, validate({ body: schemas.commentFlags }, { partial: true }), async (req, res) => {
+  try {
+    const { contest, comment } = await findContestComment(req, res);
+    if (!comment) return;
+
+    if (!canManageContest(contest, req.user))
+      return res.status(403).send({ message: "Not authorized" });
+
+    const { pinned, official } = req.body;
+    if (pinned === undefined && official === undefined)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    if (official && !isOrganizerComment(comment, contest))
+      return res.status(400).send({ message: "Only organizers' comments can be clarifications" });
+
+    const updates = {};
+    if (pinned !== undefined) updates.pinned = pinned;
+    if (official !== undefined) updates.official = official;
+
+    const updated = await commentsCollection.findOneAndUpdate(
+      { _id: comment._id },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+
+    if (updated.official && !comment.official) await notifyClarification(contest, updated);
+
+    res.send(commentView(updated, contest, req.user));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// REPORT a comment as abusive. Each user can report a comment once.
+app.post("/contests/:id/comments/:commentId/report", ensureDB, verifyJWT, validate({ body: schemas.commentReport }), async (req, res) => {
+  try {
+    const { comment } = await findContestComment(req, res);
+    if (!comment) return;
+
+    if (comment.authorEmail === req.user.email)
+      return res.status(400).send({ message: "You cannot report your own comment" });
+
+    const result = await commentsCollection.updateOne(
+      { _id: comment._id, "reports.by": { $ne: req.user.email } },
+      {
+        $push: { reports: { by: req.user.email, reason: req.body.reason || "", at: new Date() } },
+        $inc: { reportCount: 1 },
+      }
+    );
+    if (!result.modifiedCount)
+      return res.status(400).send({ message: "You already reported this comment" });
+
+    res.send({ message: "Comment reported" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// HIDE or unhide a comment (Admin only). Hidden comments keep their place
+// in the thread but their text is withheld.
+app.put("/contests/:id/comments/:commentId/moderation", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.commentModeration }), async (req, res) => {
+  try {
+    const { contest, comment } = await findContestComment(req, res);
+    if (!comment) return;
+
+    const { hidden, reason } = req.body;
+    const updates = hidden
+      ? { hiddenAt: new Date(), hiddenBy: req.user.email, hiddenReason: reason || "" }
+      : { hiddenAt: null, hiddenBy: null, hiddenReason: null };
+
+    const updated = await commentsCollection.findOneAndUpdate(
+      { _id: comment._id },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+    await audit(req, hidden ? "comment.hide" : "comment.unhide", { type: "comment", id: comment._id }, {
+      before: { hidden: Boolean(comment.hiddenAt) },
+      after: { hidden },
+      meta: { contestId: String(contest._id), authorEmail: comment.authorEmail, reason: reason || "" },
+    });
+
+    res.send(commentView(updated, contest, req.user));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// DELETE a comment and its replies (Admin only)
+app.delete("/contests/:id/comments/:commentId", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { contest, comment } = await findContestComment(req, res);
+    if (!comment) return;
+
+    const result = await commentsCollection.deleteMany({
+      $or: [{ _id: comment._id }, { parentId: comment._id }],
+    });
+    await audit(req, "comment.delete", { type: "comment", id: comment._id }, {
+      before: { body: comment.body, authorEmail: comment.authorEmail },
+      meta: { contestId: String(contest._id), deleted: result.deletedCount },
+    });
+
+    res.send({ message: "Comment deleted", deleted: result.deletedCount });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET reported comments across all contests, most reported first (Admin only)
+app.get("/admin/comments/reported", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.commentQuery }), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { reportCount: { $gt: 0 } };
+
+    const [comments, total] = await Promise.all([
+      commentsCollection
+        .find(query)
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      commentsCollection.countDocuments(query),
+    ]);
+
+    res.send({ comments, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= NOTIFICATION ROUTES ================= */
+
+// GET notifications with unread count
+app.get("/notifications", ensureDB, verifyJWT, validate({ query: schemas.notificationQuery }), async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const query = { userEmail: req.user.email };
+    if (unread) query.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      notificationsCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      notificationsCollection.countDocuments(query),
+      notificationsCollection.countDocuments({ userEmail: req.user.email, readAt: null }),
+    ]);
+
+    res.send({ notifications, unreadCount, page, limit, total });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+const NOTIFICATION_HEARTBEAT_MS = 25 * 1000;
+const NOTIFICATION_POLL_OVERLAP_MS = 5 * 1000;
+
+// LIVE notifications over Server-Sent Events. EventSource can't send
+// headers, so the access token may also come as ?token=.
+app.get(
+  "/notifications/stream",
+  ensureDB,
+  (req, res, next) => {
+    if (!req.headers.authorization && req.query.token)
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    next();
+  },
+  verifyJWT,
+  async (req, res) => {
+    const { email, sid } = req.user;
+    const delivered = new Map();
+    streamDelivered.set(res, delivered);
+    let since = new Date();
+
+    // Each heartbeat re-checks the session, so the stream ends on logout,
+    // revocation or suspension, and picks up notifications raised on other
+    // instances. The comment line also keeps proxies from closing an idle
+    // connection.
+    const tick = async () => {
+      try {
+        const session = await sessionsCollection.findOne({
+          _id: new ObjectId(sid),
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        });
+        const user = session && (await usersCollection.findOne({ email }, { projection: { suspension: 1 } }));
+        if (res.writableEnded) return;
+        if (!user || activeSuspension(user)) {
+          close();
+          res.write(`event: end\ndata: ${JSON.stringify({ message: "Session ended" })}\n\n`);
+          return res.end();
+        }
+
+        // Overlap the previous poll a little: createdAt is set before insert
+        const pollStart = Date.now();
+        const recent = await notificationsCollection
+          .find({ userEmail: email, createdAt: { $gte: since } })
+          .sort({ createdAt: 1 })
+          .toArray();
+        since = new Date(pollStart - NOTIFICATION_POLL_OVERLAP_MS);
+
+        const missed = recent.filter((n) => !delivered.has(String(n._id)));
+        if (missed.length && !res.writableEnded) {
+          const unreadCount = await notificationsCollection.countDocuments({ userEmail: email, readAt: null });
+          for (const notification of missed) {
+            delivered.set(String(notification._id), pollStart);
+            res.write(`event: notification\ndata: ${JSON.stringify({ notification, unreadCount })}\n\n`);
+          }
         }
+        for (const [id, at] of delivered) if (at < pollStart - 2 * NOTIFICATION_HEARTBEAT_MS) delivered.delete(id);
+      } catch (err) {
+        console.error("Notification stream check failed:", err.message);
+      }
+      if (!res.writableEnded) res.write(": ping\n\n");
+    };
+    const heartbeat = setInterval(tick, NOTIFICATION_HEARTBEAT_MS);
+
+    // Registered before anything is awaited, so a client that leaves early
+    // is still cleaned up
+    const close = () => {
+      clearInterval(heartbeat);
+      const streams = notificationStreams.get(email);
+      streams?.delete(res);
+      if (streams?.size === 0) notificationStreams.delete(email);
+    };
+    req.on("close", close);
+
+    try {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+
+      if (!notificationStreams.has(email)) notificationStreams.set(email, new Set());
+      notificationStreams.get(email).add(res);
+
+      const unreadCount = await notificationsCollection.countDocuments({ userEmail: email, readAt: null });
+      res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+    } catch (err) {
+      // Headers are already sent, so report it on the stream and hang up
+      close();
+      res.write(`event: error\ndata: ${JSON.stringify({ message: err.message })}\n\n`);
+      res.end();
+    }
+  }
+);
+
+// GET notification preferences
+app.get("/notifications/preferences", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne(
+      { email: req.user.email },
+      { projection: { notificationPreferences: 1 } }
+    );
+    const saved = user?.notificationPreferences || {};
+
+    res.send(
+      Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({
+        type,
+        description,
+        enabled: saved[type] !== false,
+      }))
+    );
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// UPDATE notification preferences, e.g. { contest_registration: false }
+app.put("/notifications/preferences", ensureDB, verifyJWT, validate({ body: schemas.notificationPreferences }, { partial: true }), async (req, res) => {
+  try {
+    const updateFields = {};
+    Object.entries(req.body).forEach(([type, enabled]) => {
+      updateFields[`notificationPreferences.${type}`] = enabled;
+    });
+    if (Object.keys(updateFields).length === 0)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    await usersCollection.updateOne({ email: req.user.email }, { $set: updateFields });
+    res.send({ message: "Preferences updated" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// MARK all notifications read
+app.put("/notifications/read-all", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const result = await notificationsCollection.updateMany(
+      { userEmail: req.user.email, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    pushToStreams(req.user.email, "unread", { unreadCount: 0 });
+    res.send({ message: "All notifications marked read", updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// MARK one notification read
+app.put("/notifications/:id/read", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid notification ID" });
+
+    const result = await notificationsCollection.updateOne(
+      { _id: new ObjectId(id), userEmail: req.user.email },
+      { $set: { readAt: new Date() } }
+    );
+    if (!result.matchedCount) return res.status(404).send({ message: "Notification not found" });
+
+    const unreadCount = await notificationsCollection.countDocuments({ userEmail: req.user.email, readAt: null });
+    pushToStreams(req.user.email, "unread", { unreadCount });
+    res.send({ message: "Notification marked read", unreadCount });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// ================= PACKAGES & LIMITS =================
+
+// Packages live in the `packages` collection and are managed by admins.
+// These are seeded on first connect. Every package grants `limit` contests
+// per billing period of `periodDays`; the free package is what creators
+// fall back to when nothing else is active.
+//
+// Packages are held by an account: { userEmail } for a creator's personal
+// contests, or { orgId } for an organization's contests.
+const defaultPackages = [
+  { id: "starter", name: "Starter", price: 0, limit: 2, periodDays: 30, description: "Post up to 2 contests a month for free" },
+  { id: "pro", name: "Pro", price: 10, limit: 10, periodDays: 30, description: "Post up to 10 contests a month" },
+  { id: "ultimate", name: "Ultimate", price: 25, limit: 100, periodDays: 30, description: "Unlimited-ish (up to 100) contests a month" },
+];
+const FREE_PACKAGE_ID = "starter";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function seedPackages() {
+  await packagesCollection.bulkWrite(
+    defaultPackages.map((pkg) => ({
+      updateOne: {
+        filter: { id: pkg.id },
+        update: { $setOnInsert: { ...pkg, active: true, createdAt: new Date() } },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+const findPackage = (id) => packagesCollection.findOne({ id });
+
+async function freePackage() {
+  return (await findPackage(FREE_PACKAGE_ID)) || defaultPackages.find((p) => p.id === FREE_PACKAGE_ID);
+}
+
+// Entitlements are stored with the buyer's userEmail and, for
+// organizations, an orgId. Personal ones have orgId null.
+const accountQuery = (account) =>
+  account.orgId ? { orgId: account.orgId } : { userEmail: account.userEmail, orgId: null };
+
+// Entitlements an account has paid for that are not used up yet,
+// including renewals queued to start when the current one ends
+const openEntitlements = (account, now = new Date()) =>
+  entitlementsCollection
+    .find({ ...accountQuery(account), status: "active", endsAt: { $gt: now } })
+    .sort({ startsAt: 1 })
+    .toArray();
+
+// The entitlement in force right now, or null on the free tier
+async function currentEntitlement(account, now = new Date()) {
+  const open = await openEntitlements(account, now);
+  return open.find((e) => e.startsAt <= now) || null;
+}
+
+// Work out what buying `pkg` means for this account right now.
+//  - nothing active: a new period starting now
+//  - same package: a renewal queued after the last open period
+//  - pricier package: an upgrade starting now, with the unused part of open
+//    periods credited against the price
+//  - cheaper package: refused until the current one expires
+async function planPackagePurchase(account, pkg, now = new Date()) {
+  const open = await openEntitlements(account, now);
+  const current = open.find((e) => e.startsAt <= now);
+
+  if (!current) {
+    return { kind: "new", startsAt: now, amount: pkg.price, credit: 0 };
+  }
+
+  if (pkg.price < current.price || (pkg.price === current.price && pkg.id !== current.packageId)) {
+    return {
+      error: `You can't switch to ${pkg.name} until ${current.packageName} expires on ${current.endsAt.toISOString().slice(0, 10)}`,
+    };
+  }
+
+  if (pkg.id === current.packageId) {
+    return { kind: "renewal", startsAt: open[open.length - 1].endsAt, amount: pkg.price, credit: 0 };
+  }
+
+  const credit = roundMoney(
+    open.reduce((sum, e) => {
+      const unused = (e.endsAt - Math.max(now, e.startsAt)) / (e.endsAt - e.startsAt);
+      return sum + e.price * unused;
+    }, 0)
+  );
+  return {
+    kind: "upgrade",
+    startsAt: now,
+    amount: roundMoney(Math.max(0, pkg.price - credit)),
+    credit,
+    replaces: open.map((e) => e._id),
+  };
+}
+
+// Point the account's package fields (on the user or organization) at
+// whatever is in force now. Returns the user or organization as it was.
+async function syncAccountPackage(account, now = new Date()) {
+  const current = await currentEntitlement(account, now);
+  const fields = current
+    ? { currentPackage: current.packageId, contestLimit: current.limit, packageExpiresAt: current.endsAt }
+    : { currentPackage: FREE_PACKAGE_ID, contestLimit: (await freePackage()).limit, packageExpiresAt: null };
+
+  const [collection, filter] = account.orgId
+    ? [organizationsCollection, { _id: account.orgId }]
+    : [usersCollection, { email: account.userEmail }];
+  return collection.findOneAndUpdate(filter, { $set: fields }, { returnDocument: "before" });
+}
+
+// Create the entitlement for a purchase by `userEmail`. The plan is worked
+// out again here since packages may have changed while the payment was
+// pending.
+async function grantEntitlement(account, userEmail, pkg, { payment = null, req = null } = {}) {
+  const now = new Date();
+  const plan = await planPackagePurchase(account, pkg, now);
+  // A payment that already went through is honoured even if it would now
+  // be refused as a downgrade; it starts once what's open runs out.
+  if (plan.error) {
+    const open = await openEntitlements(account, now);
+    plan.kind = "queued";
+    plan.startsAt = open[open.length - 1].endsAt;
+    plan.credit = 0;
+  }
+
+  if (plan.kind === "upgrade") {
+    await entitlementsCollection.updateMany(
+      { _id: { $in: plan.replaces } },
+      { $set: { status: "superseded", supersededAt: now } }
+    );
+  }
+
+  const entitlement = {
+    userEmail,
+    orgId: account.orgId || null,
+    packageId: pkg.id,
+    packageName: pkg.name,
+    price: pkg.price,
+    limit: pkg.limit,
+    periodDays: pkg.periodDays,
+    kind: plan.kind,
+    credit: plan.credit,
+    amountPaid: payment ? payment.amount / 100 : 0,
+    paymentIntentId: payment?.paymentIntentId || null,
+    status: "active",
+    startsAt: plan.startsAt,
+    endsAt: new Date(plan.startsAt.getTime() + pkg.periodDays * DAY_MS),
+    createdAt: now,
+  };
+  const result = await entitlementsCollection.insertOne(entitlement);
+  entitlement._id = result.insertedId;
+
+  const holder = await syncAccountPackage(account, now);
+  if (holder) {
+    await audit(req, "package.purchase", { type: account.orgId ? "organization" : "user", id: holder._id }, {
+      actor: req ? undefined : { email: userEmail, role: null },
+      before: { currentPackage: holder.currentPackage || null, contestLimit: holder.contestLimit ?? null },
+      after: { currentPackage: pkg.id, kind: plan.kind, endsAt: entitlement.endsAt },
+      meta: payment
+        ? { paymentIntentId: payment.paymentIntentId, amount: payment.amount, source: "stripe" }
+        : { price: 0 },
+    });
+  }
+
+  return entitlement;
+}
+
+// Contests allowed and used in the account's current billing period. Paid
+// periods run from the entitlement's start; the free tier is a rolling window.
+async function packageUsage(account, now = new Date()) {
+  const current = await currentEntitlement(account, now);
+  const pkg = current
+    ? { id: current.packageId, name: current.packageName, limit: current.limit }
+    : await freePackage();
+
+  const periodStart = current
+    ? current.startsAt
+    : new Date(now.getTime() - (pkg.periodDays || 30) * DAY_MS);
+  const periodEnd = current ? current.endsAt : null;
+
+  const used = await contestsCollection.countDocuments({
+    ...(account.orgId ? { orgId: account.orgId } : { creatorEmail: account.userEmail, orgId: null }),
+    createdAt: { $gte: periodStart },
+  });
+
+  return {
+    package: { id: pkg.id, name: pkg.name },
+    limit: pkg.limit,
+    used,
+    remaining: Math.max(0, pkg.limit - used),
+    periodStart,
+    periodEnd,
+  };
+}
+
+// Background job: retire ended entitlements and move the accounts behind
+// them onto whatever comes next, or back to the free tier
+async function runPackageExpiry(now = new Date()) {
+  const ended = await entitlementsCollection
+    .find({ status: "active", endsAt: { $lte: now } })
+    .toArray();
+  if (!ended.length) return;
+
+  await entitlementsCollection.updateMany(
+    { _id: { $in: ended.map((e) => e._id) } },
+    { $set: { status: "expired", expiredAt: now } }
+  );
+
+  const accounts = new Map();
+  for (const e of ended) {
+    const account = e.orgId ? { orgId: e.orgId } : { userEmail: e.userEmail };
+    accounts.set(String(e.orgId || e.userEmail), { account, buyer: e.userEmail });
+  }
+
+  for (const { account, buyer } of accounts.values()) {
+    const before = await syncAccountPackage(account, now);
+    const current = await currentEntitlement(account, now);
+    if (!before || current) continue;
+
+    await notify(buyer, "package_expired", {
+      title: "Package expired",
+      message: account.orgId
+        ? `The package for ${before.name} has expired and it is back on the free plan.`
+        : "Your creator package has expired and you are back on the free plan.",
+      link: "/packages",
+      data: { packageId: before.currentPackage, orgId: account.orgId || null },
+    });
+  }
+}
+
+// GET active packages
+app.get("/packages", ensureDB, async (req, res) => {
+  try {
+    const packages = await packagesCollection
+      .find({ active: true }, { projection: { _id: 0 } })
+      .sort({ price: 1 })
+      .toArray();
+    res.send(packages);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// Resolve the package account for a request: an organization the caller
+// may buy for (`orgId`), otherwise the caller. Returns { account } or { error }.
+function packageAccount(req, orgId) {
+  if (!orgId) return { account: { userEmail: req.user.email } };
+  if (!canInOrg(req.user, orgId, "billing"))
+    return { error: "Only organization owners can manage its package" };
+  return { account: { orgId: new ObjectId(orgId) } };
+}
+
+// GET the package, usage this period and entitlement history for the
+// current user, or ?orgId= for an organization they own
+app.get("/users/me/package", ensureDB, verifyJWT, validate({ query: schemas.packageAccountQuery }), async (req, res) => {
+  try {
+    const { account, error } = packageAccount(req, req.query.orgId);
+    if (error) return res.status(403).send({ message: error });
+
+    const [usage, entitlements] = await Promise.all([
+      packageUsage(account),
+      entitlementsCollection
+        .find(accountQuery(account))
+        .sort({ startsAt: -1 })
+        .limit(50)
+        .toArray(),
+    ]);
+    res.send({ ...usage, entitlements });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// BUY PACKAGE
+// Free packages, and upgrades fully covered by credit, apply immediately.
+// Paid packages are applied by the Stripe webhook once the payment
+// succeeds; this route only reports on that payment.
+app.post("/users/buy-package", ensureDB, verifyJWT, validate({ body: schemas.buyPackage }), async (req, res) => {
+  try {
+    const { packageId, paymentIntentId, orgId } = req.body;
+    const { account, error } = packageAccount(req, orgId);
+    if (error) return res.status(403).send({ message: error });
+
+    const pkg = await findPackage(packageId);
+    if (!pkg || !pkg.active) return res.status(400).send({ message: "Invalid package" });
+
+    if (!paymentIntentId) {
+      const plan = await planPackagePurchase(account, pkg);
+      if (plan.error) return res.status(400).send({ message: plan.error });
+
+      if (plan.amount > 0)
+        return res.status(402).send({ message: "Payment required for this package", amount: plan.amount, credit: plan.credit });
+
+      // Nothing to buy: the free tier is what users have without a package
+      if (pkg.id === FREE_PACKAGE_ID) {
+        await syncAccountPackage(account);
+        return res.send({ message: "Package purchased successfully", limit: pkg.limit });
+      }
+
+      const entitlement = await grantEntitlement(account, req.user.email, pkg, { req });
+      return res.send({ message: "Package purchased successfully", limit: pkg.limit, entitlement });
+    }
+
+    const payment = await paymentsCollection.findOne({
+      paymentIntentId,
+      userEmail: req.user.email,
+      purpose: "package",
+      packageId: pkg.id,
+      orgId: account.orgId || null,
+    });
+    if (!payment) return res.status(404).send({ message: "Payment not found" });
+
+    if (payment.status === "succeeded") {
+      return res.send({ message: "Package purchased successfully", limit: pkg.limit });
+    }
+    if (payment.status === "pending") {
+      return res.status(202).send({ message: "Payment is still being processed" });
+    }
+    res.status(402).send({ message: `Payment ${payment.status}` });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET all packages, including retired ones (Admin only)
+app.get("/admin/packages", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const packages = await packagesCollection.find().sort({ price: 1 }).toArray();
+    res.send(packages);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// CREATE a package (Admin only)
+app.post("/admin/packages", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.package }), async (req, res) => {
+  try {
+    const pkg = {
+      periodDays: 30,
+      description: "",
+      active: true,
+      ...req.body,
+      createdAt: new Date(),
+    };
+    await packagesCollection.insertOne(pkg);
+    await audit(req, "package.create", { type: "package", id: pkg.id }, { after: pkg });
+    res.status(201).send(pkg);
+  } catch (err) {
+    if (isDuplicateKey(err))
+      return res.status(400).send({ message: "A package with this id already exists" });
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// UPDATE a package (Admin only). Existing entitlements keep the terms they
+// were bought with.
+app.put("/admin/packages/:id", ensureDB, verifyJWT, verifyAdmin, validate({ body: schemas.packageUpdate }, { partial: true }), async (req, res) => {
+  try {
+    const pkg = await findPackage(req.params.id);
+    if (!pkg) return res.status(404).send({ message: "Package not found" });
+
+    if (Object.keys(req.body).length === 0)
+      return res.status(400).send({ message: "Nothing to update" });
+
+    if (pkg.id === FREE_PACKAGE_ID && (req.body.active === false || req.body.price > 0))
+      return res.status(400).send({ message: "The free package must stay active and free" });
+
+    const updated = await packagesCollection.findOneAndUpdate(
+      { _id: pkg._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    await audit(req, "package.update", { type: "package", id: pkg.id }, { before: pkg, after: updated });
+    res.send(updated);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// RETIRE a package (Admin only). It stays in the database for the
+// entitlements that point at it but can no longer be bought.
+app.delete("/admin/packages/:id", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const pkg = await findPackage(req.params.id);
+    if (!pkg) return res.status(404).send({ message: "Package not found" });
+
+    if (pkg.id === FREE_PACKAGE_ID)
+      return res.status(400).send({ message: "The free package cannot be removed" });
+
+    await packagesCollection.updateOne({ _id: pkg._id }, { $set: { active: false, updatedAt: new Date() } });
+    await audit(req, "package.retire", { type: "package", id: pkg.id }, {
+      before: { active: pkg.active },
+      after: { active: false },
+    });
+    res.send({ message: "Package retired" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// ================= LEADERBOARD =================
+
+// Rankings are materialized in the `rankings` collection: one document per
+// user per board (week, month, all), period and category ("all" included).
+// declare-winner adds each result as it happens; POST
+// /admin/leaderboard/rebuild recomputes everything from submissions, and
+// connectDB does the same when the collection is empty.
+const LEADERBOARD_PERIODS = ["week", "month", "all"];
+const ALL_CATEGORIES = "all";
+const LEADERBOARD_CACHE_TTL_MS = Number(process.env.LEADERBOARD_CACHE_TTL_MS) || 60 * 1000;
+
+// Start of the period containing `date`, in UTC. Weeks start on Monday.
+function periodStart(period, date = new Date()) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  else if (period === "month") d.setUTCDate(1);
+  else return null;
+  return d;
+}
+
+// Every ranking a result counts towards
+const rankingKeys = (category, declaredAt) =>
+  LEADERBOARD_PERIODS.flatMap((period) =>
+    [ALL_CATEGORIES, category].filter(Boolean).map((cat) => ({
+      period,
+      periodStart: periodStart(period, declaredAt),
+      category: cat,
+    }))
+  );
+
+const rankingIncrements = (result) => ({
+  points: result.points ?? PLACE_POINTS[1],
+  wins: result.place === 1 ? 1 : 0,
+  podiums: result.place && result.place <= 3 ? 1 : 0,
+  results: 1,
+});
+
+// Cached leaderboard pages, least recently used first (Map keeps insertion
+// order). Cleared whenever rankings change here; other instances catch up
+// within the TTL.
+const leaderboardCache = new Map();
+const LEADERBOARD_CACHE_MAX = Number(process.env.LEADERBOARD_CACHE_MAX) || 500;
+
+async function cachedLeaderboard(key, load) {
+  const now = Date.now();
+  const hit = leaderboardCache.get(key);
+  leaderboardCache.delete(key);
+  if (hit && hit.expiresAt > now) {
+    leaderboardCache.set(key, hit);
+    return hit.value;
+  }
+
+  const value = await load();
+
+  // Drop expired pages, then the least recently used, to stay under the cap
+  if (leaderboardCache.size >= LEADERBOARD_CACHE_MAX) {
+    for (const [k, entry] of leaderboardCache) if (entry.expiresAt <= now) leaderboardCache.delete(k);
+  }
+  while (leaderboardCache.size >= LEADERBOARD_CACHE_MAX) {
+    leaderboardCache.delete(leaderboardCache.keys().next().value);
+  }
+  leaderboardCache.set(key, { value, expiresAt: Date.now() + LEADERBOARD_CACHE_TTL_MS });
+  return value;
+}
+
+async function createRankingIndexes(collection) {
+  await collection.createIndex({ period: 1, periodStart: 1, category: 1, userEmail: 1 }, { unique: true });
+  await collection.createIndex({ period: 1, periodStart: 1, category: 1, points: -1, wins: -1, podiums: -1, userEmail: 1 });
+}
+
+// Add a contest's declared results to the rankings. Each ranking lists the
+// contests counted in it (contestIds), so recording a contest twice is a
+// no-op: the filter misses and the upsert hits the unique index.
+async function recordRankings(contest, results, declaredAt = new Date(), collection = rankingsCollection) {
+  if (!results.length) return;
+
+  let ops = results.flatMap((result) =>
+    rankingKeys(contest.category, declaredAt).map((key) => ({
+      updateOne: {
+        filter: { ...key, userEmail: result.userEmail, contestIds: { $ne: contest._id } },
+        update: {
+          $inc: rankingIncrements(result),
+          $addToSet: { contestIds: contest._id },
+          $set: { updatedAt: new Date() },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  // A duplicate key is either "already counted" or two upserts racing to
+  // create the same ranking; one retry tells them apart
+  for (let attempt = 0; attempt < 2 && ops.length; attempt++) {
+    try {
+      await collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    } catch (err) {
+      if (!err.writeErrors?.length || !err.writeErrors.every(isDuplicateKey)) throw err;
+      ops = err.writeErrors.map((e) => ops[e.index]);
+    }
+  }
+  leaderboardCache.clear();
+}
+
+// Take a contest's results back out of every ranking that counted them.
+// Call before its submissions are deleted.
+async function removeRankings(contest) {
+  const results = await submissionsCollection.aggregate(rankedResultStages({ contestId: contest._id })).toArray();
+  if (!results.length) return;
+
+  await rankingsCollection.bulkWrite(
+    results.map((result) => ({
+      updateMany: {
+        filter: { userEmail: result.userEmail, contestIds: contest._id },
+        update: {
+          $inc: Object.fromEntries(Object.entries(rankingIncrements(result)).map(([field, value]) => [field, -value])),
+          $pull: { contestIds: contest._id },
+          $set: { updatedAt: new Date() },
+        },
       },
-      { $unwind: "$userDetails" },
+    }))
+  );
+  await rankingsCollection.deleteMany({ userEmail: { $in: results.map((r) => r.userEmail) }, results: { $lte: 0 } });
+  leaderboardCache.clear();
+}
+
+// Results that count towards rankings, from submissions. Legacy winners
+// without points count as 1st place.
+const rankedResultStages = (match = {}) => [
+  { $match: { ...match, status: { $in: RESULT_STATUSES } } },
+  { $lookup: { from: "contests", localField: "contestId", foreignField: "_id", as: "contest" } },
+  { $unwind: "$contest" },
+  {
+    $project: {
+      contestId: 1,
+      userEmail: 1,
+      points: 1,
+      place: { $cond: [{ $eq: ["$status", "winner"] }, { $ifNull: ["$place", 1] }, "$place"] },
+      category: "$contest.category",
+      declaredAt: { $ifNull: ["$contest.resultsDeclaredAt", "$submittedAt"] },
+    },
+  },
+];
+
+// How far back a rebuild replays recent declarations, to cover any whose
+// submissions were still being marked when it read them
+const RANKING_REBUILD_OVERLAP_MS = 5 * 60 * 1000;
+
+// Recompute every ranking from submissions. The new rankings are built in a
+// separate collection and renamed over `rankings`, so the board is never
+// empty mid-rebuild. Results declared while it ran are then recorded again,
+// which only adds those the rebuild missed.
+async function rebuildRankings() {
+  const startedAt = new Date();
+  const results = await submissionsCollection.aggregate(rankedResultStages()).toArray();
+
+  const rankings = new Map();
+  for (const result of results) {
+    const increments = rankingIncrements(result);
+    for (const key of rankingKeys(result.category, result.declaredAt)) {
+      const id = `${key.period}|${key.periodStart?.toISOString()}|${key.category}|${result.userEmail}`;
+      const ranking = rankings.get(id) || {
+        ...key, userEmail: result.userEmail, points: 0, wins: 0, podiums: 0, results: 0, contestIds: [],
+      };
+      for (const [field, value] of Object.entries(increments)) ranking[field] += value;
+      ranking.contestIds.push(result.contestId);
+      rankings.set(id, ranking);
+    }
+  }
+
+  const db = client.db(process.env.DB_NAME || "contestHub");
+  const staging = db.collection(`rankings_rebuild_${startedAt.getTime()}`);
+  await createRankingIndexes(staging);
+
+  const now = new Date();
+  const docs = [...rankings.values()].map((r) => ({ ...r, updatedAt: now }));
+  for (let i = 0; i < docs.length; i += 1000) {
+    await staging.insertMany(docs.slice(i, i + 1000), { ordered: false });
+  }
+  await staging.rename(rankingsCollection.collectionName, { dropTarget: true });
+
+  const recent = await contestsCollection
+    .find({
+      resultsDeclaredAt: { $gte: new Date(startedAt.getTime() - RANKING_REBUILD_OVERLAP_MS) },
+      "results.0": { $exists: true },
+    })
+    .toArray();
+  for (const contest of recent) {
+    await recordRankings(contest, contest.results, contest.resultsDeclaredAt);
+  }
+
+  leaderboardCache.clear();
+  return docs.length;
+}
+
+const RANKING_SORT = { points: -1, wins: -1, podiums: -1, userEmail: 1 };
+
+// Which board a request is for: ?period=week|month|all, ?category=, and
+// ?date= to look at an earlier week or month
+function leaderboardScope({ period = "all", category, date }) {
+  return {
+    period,
+    periodStart: periodStart(period, date || new Date()),
+    category: category || ALL_CATEGORIES,
+  };
+}
+
+// The original all-time board: a bare array with emails, in the shape
+// clients used before periods and paging. Served when no query is given.
+const legacyLeaderboard = () =>
+  rankingsCollection
+    .aggregate([
+      { $match: leaderboardScope({}) },
+      { $sort: RANKING_SORT },
+      { $lookup: { from: "users", localField: "userEmail", foreignField: "email", as: "user" } },
+      { $unwind: "$user" },
       {
         $project: {
           _id: 0,
-          email: "$_id",
-          name: "$userDetails.name",
-          photoURL: "$userDetails.photoURL",
-          role: "$userDetails.role",
-          points: 1
-        }
-      }
-    ]).toArray();
+          email: "$userEmail",
+          name: "$user.name",
+          photoURL: "$user.photoURL",
+          role: "$user.role",
+          points: 1,
+          wins: 1,
+        },
+      },
+    ])
+    .toArray();
+
+// GET leaderboard, paginated. Without any query it answers in the legacy
+// shape; pass ?page=1 or any filter for the paginated one.
+app.get("/leaderboard", ensureDB, validate({ query: schemas.leaderboardQuery }), async (req, res) => {
+  try {
+    if (!Object.keys(req.query).length) {
+      const leaderboard = await cachedLeaderboard("legacy", legacyLeaderboard);
+      res.set("Cache-Control", `public, max-age=${Math.floor(LEADERBOARD_CACHE_TTL_MS / 1000)}`);
+      return res.send(leaderboard);
+    }
 
-    res.send(leaderboard);
+    const { page = 1, limit = 20 } = req.query;
+    const scope = leaderboardScope(req.query);
+    const cacheKey = JSON.stringify({ ...scope, page, limit });
+
+    const body = await cachedLeaderboard(cacheKey, async () => {
+      const [rows, total] = await Promise.all([
+        rankingsCollection
+          .aggregate([
+            { $match: scope },
+            { $sort: RANKING_SORT },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: "users", localField: "userEmail", foreignField: "email", as: "user" } },
+            { $unwind: "$user" },
+            {
+              $project: {
+                _id: 0,
+                userId: "$user._id",
+                name: "$user.name",
+                photoURL: "$user.photoURL",
+                role: "$user.role",
+                points: 1,
+                wins: 1,
+                podiums: 1,
+                results: 1,
+              },
+            },
+          ])
+          .toArray(),
+        rankingsCollection.countDocuments(scope),
+      ]);
+
+      return {
+        ...scope,
+        leaderboard: rows.map((row, i) => ({ rank: (page - 1) * limit + i + 1, ...row })),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      };
+    });
+
+    res.set("Cache-Control", `public, max-age=${Math.floor(LEADERBOARD_CACHE_TTL_MS / 1000)}`);
+    res.send(body);
   } catch (err) {
     console.error("Leaderboard error:", err);
     res.status(500).send({ message: "Internal server error" });
   }
 });
 
+// GET the current user's rank on a leaderboard
+app.get("/leaderboard/me", ensureDB, verifyJWT, validate({ query: schemas.leaderboardQuery }), async (req, res) => {
+  try {
+    const scope = leaderboardScope(req.query);
+    const [mine, total] = await Promise.all([
+      rankingsCollection.findOne({ ...scope, userEmail: req.user.email }),
+      rankingsCollection.countDocuments(scope),
+    ]);
+
+    if (!mine) return res.send({ ...scope, rank: null, points: 0, wins: 0, podiums: 0, results: 0, total });
+
+    // Everyone who sorts ahead under RANKING_SORT
+    const ahead = await rankingsCollection.countDocuments({
+      ...scope,
+      $or: [
+        { points: { $gt: mine.points } },
+        { points: mine.points, wins: { $gt: mine.wins } },
+        { points: mine.points, wins: mine.wins, podiums: { $gt: mine.podiums } },
+        { points: mine.points, wins: mine.wins, podiums: mine.podiums, userEmail: { $lt: mine.userEmail } },
+      ],
+    });
+
+    res.send({
+      ...scope,
+      rank: ahead + 1,
+      points: mine.points,
+      wins: mine.wins,
+      podiums: mine.podiums,
+      results: mine.results,
+      total,
+    });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// REBUILD all rankings from submissions (Admin only). For fixing drift
+// and for results declared before rankings existed.
+app.post("/admin/leaderboard/rebuild", ensureDB, verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const rankings = await rebuildRankings();
+    await audit(req, "leaderboard.rebuild", { type: "leaderboard", id: null }, { meta: { rankings } });
+    res.send({ message: "Leaderboard rebuilt", rankings });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
 
 // ================= PAYMENT =================
-app.post("/create-payment-intent", ensureDB, verifyJWT, async (req, res) => {
+
+// Work out what the user is paying for. Amounts always come from our own
+// data (in cents), never from the client.
+async function resolvePaymentTarget({ purpose, packageId, contestId, orgId }, req) {
+  if (purpose === "package" || (!purpose && packageId)) {
+    const { account, error } = packageAccount(req, orgId);
+    if (error) return { error };
+
+    const pkg = await findPackage(packageId);
+    if (!pkg || !pkg.active) return { error: "Invalid package" };
+    if (pkg.price <= 0) return { error: "This package is free" };
+
+    const plan = await planPackagePurchase(account, pkg);
+    if (plan.error) return { error: plan.error };
+    if (plan.amount <= 0) return { error: "Your credit covers this upgrade, no payment needed" };
+    return {
+      purpose: "package",
+      packageId: pkg.id,
+      orgId: account.orgId || null,
+      amount: Math.round(plan.amount * 100),
+      credit: plan.credit,
+    };
+  }
+
+  if (purpose === "contest" || (!purpose && contestId)) {
+    if (!ObjectId.isValid(contestId)) return { error: "Invalid contest ID" };
+    const found = await contestsCollection.findOne({ _id: new ObjectId(contestId) });
+    if (!found || !isContestVisible(found, req.user)) return { error: "Contest not found" };
+    const price = Number(found.price) || 0;
+    if (price <= 0) return { error: "This contest is free" };
+
+    // Only take money registration would accept
+    const contest = await syncContestStatus(found);
+    if (!isAcceptingEntries(contest)) return { error: "Contest is not open for registration" };
+
+    const [registration, unusedPayment] = await Promise.all([
+      registrationsCollection.findOne({ contestId: contest._id, userEmail: req.user.email }),
+      paymentsCollection.findOne({
+        userEmail: req.user.email,
+        purpose: "contest",
+        contestId: contest._id.toString(),
+        status: "succeeded",
+        usedAt: null,
+      }),
+    ]);
+    if (registration) return { error: "Already registered" };
+    if (unusedPayment) return { error: "You have already paid for this contest, you can register now" };
+
+    return { purpose: "contest", contestId: contest._id.toString(), amount: Math.round(price * 100) };
+  }
+
+  return { error: "Unknown payment purpose" };
+}
+
+app.post("/create-payment-intent", ensureDB, verifyJWT, rateLimit("paymentIntent"), validate({ body: schemas.paymentIntent }), async (req, res) => {
   try {
     if (!stripe) {
       return res.status(500).send({ message: "Stripe not configured" });
     }
 
-    let { price } = req.body;
+    const target = await resolvePaymentTarget(req.body, req);
+    if (target.error) return res.status(400).send({ message: target.error });
 
-    price = Number(price);
-    if (!price || price <= 0) {
-      return res.status(400).send({ message: "Invalid price" });
-    }
+    const metadata = { purpose: target.purpose, userEmail: req.user.email };
+    if (target.packageId) metadata.packageId = target.packageId;
+    if (target.orgId) metadata.orgId = target.orgId.toString();
+    if (target.contestId) metadata.contestId = target.contestId;
 
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(price * 100),
+      amount: target.amount,
       currency: "usd",
       automatic_payment_methods: { enabled: true },
+      metadata,
+    });
+
+    await paymentsCollection.insertOne({
+      paymentIntentId: paymentIntent.id,
+      userEmail: req.user.email,
+      purpose: target.purpose,
+      packageId: target.packageId || null,
+      orgId: target.orgId || null,
+      contestId: target.contestId || null,
+      amount: paymentIntent.amount,
+      credit: target.credit || 0,
+      currency: paymentIntent.currency,
+      status: "pending",
+      amountRefunded: 0,
+      events: [],
+      createdAt: new Date(),
     });
 
-    res.send({ clientSecret: paymentIntent.client_secret });
+    res.send({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount / 100,
+    });
   } catch (err) {
     console.error("Stripe Error:", err);
     res.status(500).send({ message: "Payment failed" });
   }
 });
 
+// Apply the effect of a successful payment. Contest payments are consumed
+// later by POST /contests/:id/register, which marks them as used.
+async function fulfillPayment(payment) {
+  if (payment.purpose === "package") {
+    // Retired packages are still honoured for payments already made
+    const pkg = await findPackage(payment.packageId);
+    if (!pkg) return;
+    const account = payment.orgId ? { orgId: payment.orgId } : { userEmail: payment.userEmail };
+    await grantEntitlement(account, payment.userEmail, pkg, { payment });
+  }
+}
+
+// Undo what a fully refunded payment bought: a package entitlement stops
+// counting, and a contest registration is cancelled along with its entry.
+async function revokePayment(payment) {
+  const now = new Date();
+  const actor = { email: null, role: "system" };
+
+  if (payment.purpose === "package") {
+    const result = await entitlementsCollection.updateMany(
+      { paymentIntentId: payment.paymentIntentId, status: "active" },
+      { $set: { status: "refunded", refundedAt: now } }
+    );
+    if (!result.modifiedCount) return;
+
+    const account = payment.orgId ? { orgId: payment.orgId } : { userEmail: payment.userEmail };
+    const holder = await syncAccountPackage(account, now);
+    await audit(null, "package.refund", { type: account.orgId ? "organization" : "user", id: holder?._id }, {
+      actor,
+      before: { currentPackage: holder?.currentPackage || null },
+      meta: { paymentIntentId: payment.paymentIntentId, packageId: payment.packageId },
+    });
+  }
+
+  if (payment.purpose === "contest") {
+    const registration = await registrationsCollection.findOneAndDelete({
+      paymentIntentId: payment.paymentIntentId,
+    });
+    if (!registration) return;
+
+    await contestsCollection.updateOne({ _id: registration.contestId }, { $inc: { participantCount: -1 } });
+    await submissionsCollection.updateOne(
+      { contestId: registration.contestId, userEmail: registration.userEmail, withdrawnAt: null },
+      { $set: { withdrawnAt: now, updatedAt: now } }
+    );
+    await audit(null, "contest.registration_refund", { type: "contest", id: registration.contestId }, {
+      actor,
+      before: { registered: true },
+      after: { registered: false },
+      meta: { paymentIntentId: payment.paymentIntentId, userEmail: registration.userEmail },
+    });
+  }
+}
+
+// Record a Stripe event against its payment exactly once. Returns the
+// payment as it was before the update, or null if already processed.
+async function recordPaymentEvent(paymentIntentId, event, fields) {
+  return paymentsCollection.findOneAndUpdate(
+    { paymentIntentId, "events.id": { $ne: event.id } },
+    {
+      $set: { ...fields, updatedAt: new Date() },
+      $push: { events: { id: event.id, type: event.type, receivedAt: new Date() } },
+    },
+    { returnDocument: "before" }
+  );
+}
+
+// STRIPE WEBHOOK
+app.post("/webhooks/stripe", ensureDB, async (req, res) => {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
+    return res.status(500).send({ message: "Stripe not configured" });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers["stripe-signature"],
+      STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    return res.status(400).send({ message: `Webhook signature verification failed: ${err.message}` });
+  }
+
+  try {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "payment_intent.succeeded": {
+        const before = await recordPaymentEvent(object.id, event, {
+          status: "succeeded",
+          amountReceived: object.amount_received,
+          succeededAt: new Date(),
+        });
+        if (before && before.status !== "succeeded") {
+          await fulfillPayment(before);
+        }
+        break;
+      }
+
+      case "payment_intent.payment_failed":
+        await recordPaymentEvent(object.id, event, {
+          status: "failed",
+          failureMessage: object.last_payment_error?.message || null,
+          failedAt: new Date(),
+        });
+        break;
+
+      case "payment_intent.canceled":
+        await recordPaymentEvent(object.id, event, {
+          status: "canceled",
+          canceledAt: new Date(),
+        });
+        break;
+
+      case "charge.refunded":
+        if (object.payment_intent) {
+          const fullRefund = object.amount_refunded >= object.amount;
+          const before = await recordPaymentEvent(object.payment_intent, event, {
+            status: fullRefund ? "refunded" : "partially_refunded",
+            amountRefunded: object.amount_refunded,
+            refundedAt: new Date(),
+          });
+          if (before && fullRefund && before.status !== "refunded") await revokePayment(before);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    res.send({ received: true });
+  } catch (err) {
+    console.error("Stripe webhook error:", err);
+    res.status(500).send({ message: "Webhook handling failed" });
+  }
+});
+
+// GET payment ledger (Admin only)
+app.get("/payments", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.paymentQuery }), async (req, res) => {
+  try {
+    const { status, purpose, userEmail } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (purpose) query.purpose = purpose;
+    if (userEmail) query.userEmail = userEmail.toLowerCase();
+
+    const payments = await paymentsCollection
+      .find(query, { projection: { events: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(payments);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET current user's payments
+app.get("/payments/my", ensureDB, verifyJWT, async (req, res) => {
+  try {
+    const payments = await paymentsCollection
+      .find({ userEmail: req.user.email }, { projection: { events: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(payments);
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= ANALYTICS ================= */
+
+// Count (or sum valueExpr) per interval bucket of dateField
+async function timeSeries(collection, match, dateField, interval, valueExpr = 1) {
+  return collection.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: `$${dateField}`, unit: interval } },
+        value: { $sum: valueExpr },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", value: 1 } },
+  ]).toArray();
+}
+
+const sumSeries = (series) => Math.round(series.reduce((sum, p) => sum + p.value, 0) * 100) / 100;
+
+// Net revenue in dollars for a payment document
+const NET_REVENUE = { $divide: [{ $subtract: ["$amount", { $ifNull: ["$amountRefunded", 0] }] }, 100] };
+
+// Dashboard figures for a date range. With a scope (a contests filter),
+// everything is limited to those contests and platform-wide figures are
+// left out.
+async function buildAnalytics({ from, to, interval, scope = null }) {
+  const range = { $gte: from, $lt: to };
+  const contestScope = scope || {};
+
+  let contestIds = null;
+  if (scope) {
+    const own = await contestsCollection.find(contestScope, { projection: { _id: 1 } }).toArray();
+    contestIds = own.map((c) => c._id);
+  }
+  const entryScope = contestIds ? { contestId: { $in: contestIds } } : {};
+  const paymentScope = contestIds
+    ? { purpose: "contest", contestId: { $in: contestIds.map((id) => id.toString()) } }
+    : {};
+  const paidMatch = {
+    ...paymentScope,
+    status: { $in: ["succeeded", "partially_refunded", "refunded"] },
+    succeededAt: range,
+  };
+
+  // Approvals and rejections are dated by the lifecycle's status history
+  const statusChanges = (status) =>
+    contestsCollection.aggregate([
+      { $match: { ...contestScope, "statusHistory.to": status } },
+      { $unwind: "$statusHistory" },
+      { $match: { "statusHistory.to": status, "statusHistory.at": range } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: "$statusHistory.at", unit: interval } },
+          value: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: "$_id", value: 1 } },
+    ]).toArray();
+
+  const [
+    contestsCreated, contestsApproved, contestsRejected,
+    registrations, submissions, revenue,
+    revenueByContest, topCategories,
+  ] = await Promise.all([
+    timeSeries(contestsCollection, { ...contestScope, createdAt: range }, "createdAt", interval),
+    statusChanges("confirmed"),
+    statusChanges("rejected"),
+    timeSeries(registrationsCollection, { ...entryScope, registeredAt: range }, "registeredAt", interval),
+    timeSeries(submissionsCollection, { ...entryScope, submittedAt: range }, "submittedAt", interval),
+    timeSeries(paymentsCollection, paidMatch, "succeededAt", interval, NET_REVENUE),
+    paymentsCollection.aggregate([
+      { $match: { ...paidMatch, purpose: "contest" } },
+      { $group: { _id: "$contestId", revenue: { $sum: NET_REVENUE }, payments: { $sum: 1 } } },
+      { $sort: { revenue: -1 } },
+      { $limit: 10 },
+      {
+        $lookup: {
+          from: "contests",
+          let: { id: { $toObjectId: "$_id" } },
+          pipeline: [{ $match: { $expr: { $eq: ["$_id", "$$id"] } } }, { $project: { title: 1 } }],
+          as: "contest",
+        },
+      },
+      { $project: { _id: 0, contestId: "$_id", title: { $first: "$contest.title" }, revenue: 1, payments: 1 } },
+    ]).toArray(),
+    contestsCollection.aggregate([
+      { $match: { ...contestScope, createdAt: range } },
+      {
+        $group: {
+          _id: "$category",
+          contests: { $sum: 1 },
+          participants: { $sum: { $ifNull: ["$participantCount", 0] } },
+        },
+      },
+      { $sort: { contests: -1, participants: -1 } },
+      { $limit: 5 },
+      { $project: { _id: 0, category: "$_id", contests: 1, participants: 1 } },
+    ]).toArray(),
+  ]);
+
+  const series = { contestsCreated, contestsApproved, contestsRejected, registrations, submissions, revenue };
+  const result = {
+    range: { from, to, interval },
+    totals: Object.fromEntries(Object.entries(series).map(([key, points]) => [key, sumSeries(points)])),
+    series,
+    revenueByContest,
+    topCategories,
+  };
+
+  if (scope) return result;
+
+  // Platform-wide figures for admins only
+  const [newUsers, revenueByPackage, topCreators] = await Promise.all([
+    timeSeries(usersCollection, { createdAt: range }, "createdAt", interval),
+    paymentsCollection.aggregate([
+      { $match: { ...paidMatch, purpose: "package" } },
+      { $group: { _id: "$packageId", revenue: { $sum: NET_REVENUE }, payments: { $sum: 1 } } },
+      { $sort: { revenue: -1 } },
+      { $project: { _id: 0, packageId: "$_id", revenue: 1, payments: 1 } },
+    ]).toArray(),
+    contestsCollection.aggregate([
+      { $match: { createdAt: range } },
+      {
+        $group: {
+          _id: "$creatorEmail",
+          contests: { $sum: 1 },
+          participants: { $sum: { $ifNull: ["$participantCount", 0] } },
+        },
+      },
+      { $sort: { contests: -1, participants: -1 } },
+      { $limit: 5 },
+      { $lookup: { from: "users", localField: "_id", foreignField: "email", as: "user" } },
+      { $project: { _id: 0, creatorEmail: "$_id", name: { $first: "$user.name" }, contests: 1, participants: 1 } },
+    ]).toArray(),
+  ]);
+
+  result.series.newUsers = newUsers;
+  result.totals.newUsers = sumSeries(newUsers);
+  result.revenueByPackage = revenueByPackage;
+  result.topCreators = topCreators;
+  return result;
+}
+
+// Resolve ?from&to&interval, defaulting to the last 30 days by day
+function analyticsRange(query) {
+  const to = query.to || new Date();
+  const from = query.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { from, to, interval: query.interval || "day" };
+}
+
+// GET platform analytics (Admin only)
+app.get("/admin/analytics", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.analyticsQuery }), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    if (range.from >= range.to) return res.status(400).send({ message: "from must be before to" });
+
+    res.send(await buildAnalytics(range));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// GET analytics for the current creator's own contests, or ?orgId= for an
+// organization they organize
+app.get("/creator/analytics", ensureDB, verifyJWT, validate({ query: schemas.analyticsQuery }), async (req, res) => {
+  try {
+    const { orgId } = req.query;
+    if (orgId ? !canInOrg(req.user, orgId, "manage_contests") : req.user.role !== "creator")
+      return res.status(403).send({ message: orgId ? "Not authorized for this organization" : "Creator only" });
+
+    const range = analyticsRange(req.query);
+    if (range.from >= range.to) return res.status(400).send({ message: "from must be before to" });
+
+    const scope = orgId
+      ? { orgId: new ObjectId(orgId) }
+      : { creatorEmail: req.user.email, orgId: null };
+    res.send(await buildAnalytics({ ...range, scope }));
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+/* ================= AUDIT ROUTES ================= */
+
+function auditFilter({ actor, action, targetType, targetId, from, to }) {
+  const query = {};
+  if (actor) query["actor.email"] = actor.toLowerCase();
+  if (action) query.action = action;
+  if (targetType) query["target.type"] = targetType;
+  if (targetId) query["target.id"] = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  return query;
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const AUDIT_CSV_COLUMNS = ["createdAt", "actorEmail", "actorRole", "action", "targetType", "targetId", "changes", "meta", "ip"];
+
+// GET audit log entries (Admin only)
+app.get("/admin/audit-logs", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.auditQuery }), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const query = auditFilter(req.query);
+
+    const [logs, total] = await Promise.all([
+      auditLogsCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      auditLogsCollection.countDocuments(query),
+    ]);
+
+    res.send({ logs, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
+
+// EXPORT audit log entries as CSV (Admin only). Same filters, no paging.
+app.get("/admin/audit-logs/export", ensureDB, verifyJWT, verifyAdmin, validate({ query: schemas.auditQuery }), async (req, res) => {
+  try {
+    const cursor = auditLogsCollection.find(auditFilter(req.query)).sort({ createdAt: -1 });
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    );
+    res.write(AUDIT_CSV_COLUMNS.join(",") + "\n");
+
+    for await (const log of cursor) {
+      const row = [
+        log.createdAt,
+        log.actor?.email,
+        log.actor?.role,
+        log.action,
+        log.target?.type,
+        log.target?.id,
+        JSON.stringify(log.changes || {}),
+        JSON.stringify(log.meta || {}),
+        log.ip,
+      ];
+      res.write(row.map(csvCell).join(",") + "\n");
+    }
+    res.end();
+  } catch (err) {
+    // Headers are gone once streaming starts
+    if (res.headersSent) return res.end();
+    res.status(500).send({ message: err.message });
+  }
+});
+
 /* ================= SERVER ================= */
 app.get("/", (req, res) => res.send(" ContestHub API Running (Modernized)"));
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(` Server running on http://localhost:${PORT}`));
+
+// Background jobs: open and close contests on schedule, expire packages and
+// keep participant counts honest. Routes also sync the contest they touch,
+// so a missed tick never lets entries in late.
+const runScheduledJobs = () =>
+  connectDB()
+    .then(runContestScheduler)
+    .then(() => runPackageExpiry())
+    .then(reconcileParticipantCounts);
+
+// Long-running servers tick on an interval. Serverless deploys (Vercel sets
+// VERCEL) can't keep one alive, so there the cron in vercel.json calls
+// /cron/scheduler every 10 minutes instead; set CRON_SECRET in the project's
+// environment variables or it is refused. RUN_SCHEDULER=true|false
+// overrides the default.
+const RUN_SCHEDULER = process.env.RUN_SCHEDULER ? process.env.RUN_SCHEDULER === "true" : !process.env.VERCEL;
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+if (RUN_SCHEDULER) {
+  setInterval(() => {
+    runScheduledJobs().catch((err) => console.error("Contest scheduler error:", err.message));
+  }, SCHEDULER_INTERVAL_MS);
+}
+
+// RUN the background jobs once, for an external cron. Authenticated with
+// `Authorization: Bearer <CRON_SECRET>`, which is what Vercel Cron sends
+// when the CRON_SECRET environment variable is set.
+app.get("/cron/scheduler", async (req, res) => {
+  try {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(req.headers.authorization || "");
+    if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+      return res.status(401).send({ message: "Unauthorized" });
+
+    await runScheduledJobs();
+    res.send({ message: "Scheduled jobs ran" });
+  } catch (err) {
+    res.status(500).send({ message: err.message });
+  }
+});
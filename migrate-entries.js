@@ -0,0 +1,88 @@
+// One-off migration: move the participants/submissions arrays embedded in
+// each contest into the registrations and submissions collections.
+// Safe to run more than once. Usage: npm run migrate:entries
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+async function migrate() {
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+
+  const db = client.db(process.env.DB_NAME || "contestHub");
+  const contests = db.collection("contests");
+  const registrations = db.collection("registrations");
+  const submissions = db.collection("submissions");
+
+  await registrations.createIndex({ contestId: 1, userEmail: 1 }, { unique: true });
+  await submissions.createIndex({ contestId: 1, userEmail: 1 }, { unique: true });
+
+  const cursor = contests.find({
+    $or: [{ participants: { $exists: true } }, { submissions: { $exists: true } }],
+  });
+
+  let migrated = 0;
+  for await (const contest of cursor) {
+    const participants = [...new Set(contest.participants || [])];
+
+    if (participants.length) {
+      await registrations.bulkWrite(
+        participants.map((userEmail) => ({
+          updateOne: {
+            filter: { contestId: contest._id, userEmail },
+            update: {
+              $setOnInsert: {
+                amount: 0,
+                currency: null,
+                paymentIntentId: null,
+                registeredAt: contest.createdAt || new Date(),
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    // Earlier versions allowed several submissions per user. Keep the one
+    // that was judged (winner etc.), otherwise the latest.
+    const judged = (s) => (s.status ? 1 : 0);
+    const latest = new Map();
+    for (const s of contest.submissions || []) {
+      const current = latest.get(s.userEmail);
+      const preferred =
+        !current ||
+        judged(s) > judged(current) ||
+        (judged(s) === judged(current) && new Date(s.submittedAt) > new Date(current.submittedAt));
+      if (preferred) latest.set(s.userEmail, s);
+    }
+
+    if (latest.size) {
+      await submissions.bulkWrite(
+        [...latest.values()].map(({ userEmail, ...rest }) => ({
+          updateOne: {
+            // The filter fields are copied into inserted documents
+            filter: { contestId: contest._id, userEmail },
+            update: { $setOnInsert: rest },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    const participantCount = await registrations.countDocuments({ contestId: contest._id });
+    await contests.updateOne(
+      { _id: contest._id },
+      { $set: { participantCount }, $unset: { participants: "", submissions: "" } }
+    );
+
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} contest(s)`);
+  await client.close();
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+// One-off migration: give creators who bought a package before entitlements
+// existed an entitlement for it, so they keep their contest limit. The
+// period starts when the migration runs.
+// Safe to run more than once. Usage: npm run migrate:packages
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const FREE_PACKAGE_ID = "starter";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function migrate() {
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+
+  const db = client.db(process.env.DB_NAME || "contestHub");
+  const users = db.collection("users");
+  const packages = db.collection("packages");
+  const entitlements = db.collection("entitlements");
+
+  const cursor = users.find({ currentPackage: { $nin: [FREE_PACKAGE_ID, null] } });
+
+  const now = new Date();
+  let migrated = 0;
+  for await (const user of cursor) {
+    // Anyone with an entitlement already went through the new purchase flow
+    const existing = await entitlements.findOne({ userEmail: user.email, orgId: null });
+    if (existing) continue;
+
+    const pkg = await packages.findOne({ id: user.currentPackage });
+    const periodDays = pkg?.periodDays || 30;
+    const endsAt =
+      user.packageExpiresAt > now ? user.packageExpiresAt : new Date(now.getTime() + periodDays * DAY_MS);
+
+    await entitlements.insertOne({
+      userEmail: user.email,
+      orgId: null,
+      packageId: user.currentPackage,
+      packageName: pkg?.name || user.currentPackage,
+      price: pkg?.price ?? 0,
+      // What they paid for, even if the package has changed since
+      limit: user.contestLimit ?? pkg?.limit ?? 0,
+      periodDays,
+      kind: "legacy",
+      credit: 0,
+      amountPaid: 0,
+      paymentIntentId: null,
+      status: "active",
+      startsAt: now,
+      endsAt,
+      createdAt: now,
+    });
+    await users.updateOne({ _id: user._id }, { $set: { packageExpiresAt: endsAt } });
+
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} user(s)`);
+  await client.close();
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});